@@ -34,7 +34,12 @@ export default [
       'react-hooks/exhaustive-deps': 'warn',
       'react/react-in-jsx-scope': 'off',
       'react/prop-types': 'off',
+      'no-unused-vars': ['error', { ignoreRestSiblings: true }],
       'prettier/prettier': 'error'
     }
+  },
+  {
+    files: ['scripts/**/*.js'],
+    languageOptions: { globals: globals.node }
   }
 ]
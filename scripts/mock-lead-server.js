@@ -0,0 +1,26 @@
+// Servidor local para testar o envio de leads: `npm run mock:leads` e
+// VITE_LEAD_ENDPOINT=http://localhost:8787 no .env.local.
+// FALHAR=1 responde 500 em tudo, para testar a fila de reenvio.
+
+import { createServer } from 'node:http'
+
+const PORT = Number(process.env.PORT ?? 8787)
+const FALHAR = process.env.FALHAR === '1'
+
+createServer((req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type')
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204).end()
+    return
+  }
+
+  let body = ''
+  req.on('data', (chunk) => (body += chunk))
+  req.on('end', () => {
+    console.log(`${req.method} ${req.url} [${req.headers['content-type']}]`)
+    console.log(body, '\n')
+    res.writeHead(FALHAR ? 500 : 200).end()
+  })
+}).listen(PORT, () => console.log(`Mock de leads em http://localhost:${PORT}`))
@@ -3,74 +3,68 @@ import { z } from 'zod'
 import { zodResolver } from '@hookform/resolvers/zod'
 import { motion } from 'framer-motion'
 import { Button } from './components/Button'
-import { useForm } from 'react-hook-form'
+import { StepMarker } from './components/StepMarker'
+import { useFieldArray, useForm } from 'react-hook-form'
 import { Input } from './components/Input'
 import { InputSelect } from './components/InputSelect'
-import axios from 'axios'
-
-// Função para validar número de telefone
-const validatePhoneNumber = (phone) => {
-  const regex = /^\(\d{2}\) \d \d{4}-\d{4}$/
-  return regex.test(phone)
-}
-
-async function fetchIPCARateReal() {
-  const currentYear = new Date().getFullYear()
-
-  try {
-    const url = `https://olinda.bcb.gov.br/olinda/servico/Expectativas/versao/v1/odata/ExpectativasMercadoAnuais?$filter=Indicador eq 'IPCA' and DataReferencia ge '${currentYear}' and Data ge '${currentYear}-01-01'&$orderby=Data desc&$top=100`
-    const { data } = await axios.get(url)
-
-    const results = {}
-    for (const item of data.value) {
-      const ano = item.DataReferencia
-      const atual = results[ano]
-
-      if (!atual || new Date(item.Data) > new Date(atual.Data)) {
-        results[ano] = item
-      }
-    }
-
-    return results
-  } catch (error) {
-    console.error('Erro ao buscar IPCA:', error)
-  }
-}
-
-async function fetchCDIRateReal() {
-  const currentYear = new Date().getFullYear()
-
-  try {
-    const url = `https://olinda.bcb.gov.br/olinda/servico/Expectativas/versao/v1/odata/ExpectativasMercadoAnuais?$filter=Indicador eq 'Selic' and DataReferencia ge '${currentYear}' and Data ge '${currentYear}-01-01'&$orderby=Data desc&$top=100`
-    const { data } = await axios.get(url)
-
-    const results = {}
-    for (const item of data.value) {
-      const ano = item.DataReferencia
-      const atual = results[ano]
-
-      if (!atual || new Date(item.Data) > new Date(atual.Data)) {
-        results[ano] = {
-          ...item,
-          Media: parseFloat((item.Media * 0.98).toFixed(3))
-        }
-      }
-    }
-
-    return results
-  } catch (error) {
-    console.error('Erro ao buscar IPCA:', error)
-  }
-}
-
-// Função para formatar número de telefone
-const formatPhoneNumber = (phone) => {
-  phone = phone.replace(/[^\d]+/g, '')
-  if (phone.length > 11) phone = phone.slice(0, 11)
-  if (phone.length > 6)
-    return `(${phone.slice(0, 2)}) ${phone.slice(2, 3)} ${phone.slice(3, 7)}-${phone.slice(7)}`
-  if (phone.length > 2) return `(${phone.slice(0, 2)}) ${phone.slice(2)}`
-  return phone
+import {
+  CAPITALIZACOES,
+  TIPOS_DE_TAXA,
+  fullEvolution,
+  simulate
+} from './lib/simulation'
+import { formatCurrency, formatPercent, formatProduct } from './lib/format'
+import {
+  FONTES_CDI,
+  SPREAD_SELIC_CDI,
+  fetchCDIRateReal,
+  fetchIPCARateReal
+} from './lib/marketData'
+import { EvolutionTable } from './components/EvolutionTable'
+import { GrowthChart } from './components/GrowthChart'
+import { Assumptions } from './components/Assumptions'
+import { ProductFields } from './components/ProductFields'
+import { CostFields } from './components/CostFields'
+import { CompareTable } from './components/CompareTable'
+import { BenchmarkTable } from './components/BenchmarkTable'
+import { GoalTime } from './components/GoalTime'
+import { HistoryPanel } from './components/HistoryPanel'
+import { ScheduleFields } from './components/ScheduleFields'
+import { RetirementFields } from './components/RetirementFields'
+import { RetirementPhase } from './components/RetirementPhase'
+import { compareProducts } from './lib/compare'
+import { benchmarkResults } from './lib/benchmarks'
+import { BENCHMARKS, TIPOS_DE_CUSTO } from './lib/costs'
+import { PRODUTO_PERSONALIZADO } from './lib/presets'
+import {
+  MAX_MESES,
+  independenceTarget,
+  requiredContribution,
+  timeToGoal
+} from './lib/goals'
+import { resolveSteps } from './lib/wizard'
+import { buildShareUrl, fromQueryString } from './lib/shareLink'
+import { buildEvolutionCSV, downloadFile } from './lib/csv'
+import {
+  deleteSimulation,
+  duplicateSimulation,
+  readHistory,
+  restoreSimulation,
+  renameSimulation,
+  saveSimulation
+} from './lib/history'
+import { buildLeadPayload, flushLeadQueue, submitLead } from './lib/leads'
+import {
+  FINALIDADES,
+  TERMOS,
+  buildConsent,
+  formatPhoneNumber,
+  validatePhoneNumber
+} from './lib/contact'
+
+// Converte valores mascarados (1.234,56) para número
+const parseDecimal = (value) => {
+  return Number(String(value).replace(/\./g, '').replace(',', '.'))
 }
 
 const formatTaxa = (value) => {
@@ -90,60 +84,390 @@ const formatMoney = (value) => {
   return numberValue.replace('.', ',').replace(/\B(?=(\d{3})+(?!\d))/g, '.')
 }
 
-// const encode = (data) => {
-//   return Object.keys(data)
-//     .map((key) => encodeURIComponent(key) + '=' + encodeURIComponent(data[key]))
-//     .join('&')
-// }
+// Endpoint do lead (ver .env.example)
+const LEAD_CONFIG = {
+  endpoint: import.meta.env.VITE_LEAD_ENDPOINT,
+  formato: import.meta.env.VITE_LEAD_FORMAT,
+  formName: import.meta.env.VITE_LEAD_FORM_NAME
+}
 
 const InfoDataSchema = z.object({
   whatsapp: z.string().refine(validatePhoneNumber, {
-    message: 'Número de telefone inválido. Use o formato (99) 9 1111-1111'
+    message:
+      'Número de telefone inválido. Use (99) 9 1111-1111 ou (99) 3111-1111 com um DDD válido'
   }),
   nome: z.string().min(1, 'Campo obrigatório.'),
-  email: z.string().min(1, 'Campo obrigatório.'),
+  email: z.string().min(1, 'Campo obrigatório.').email('Email inválido.'),
   acceptTerms: z.boolean().refine((val) => val === true, {
     message: 'Você deve aceitar os termos'
+  }),
+  // Finalidades opcionais, por id
+  finalidades: z.record(z.boolean())
+})
+
+// Anos que o usuário pode preencher nas premissas manuais; depois do último
+// o valor se repete
+const ANOS_MANUAIS = Array.from(
+  { length: 5 },
+  (_, index) => new Date().getFullYear() + index
+)
+
+const toManualCurve = (values) => {
+  return Object.fromEntries(
+    ANOS_MANUAIS.map((ano, index) => [ano, parseDecimal(values[index])])
+  )
+}
+
+const TaxaSchema = z
+  .string()
+  .regex(
+    /^\d*(,\d{0,2})?$/,
+    'A taxa deve ser um número e pode conter uma vírgula'
+  )
+  .transform((val) => Number(val.replace(/\./g, '').replace(',', '.')))
+  .refine((val) => val > 0, {
+    message: 'A taxa deve ser maior que zero'
   })
+
+const TipoDeTaxaSchema = z.enum(TIPOS_DE_TAXA, {
+  errorMap: () => ({ message: 'Selecione o tipo de taxa' })
 })
 
-const MoneyDataSchema = z.object({
-  aporteInicial: z
+const MoneySchema = (message) => {
+  return z
     .string()
     .regex(/^\d{1,3}(\.\d{3})*,\d{2}$/, 'Formato inválido. Use R$ 0,00')
-    .transform((val) => Number(val.replace(/\./g, '').replace(',', '.'))),
-  aporteMensal: z
-    .string()
-    .regex(/^\d{1,3}(\.\d{3})*,\d{2}$/, 'Formato inválido. Use R$ 0,00')
-    .transform((val) => Number(val.replace(/\./g, '').replace(',', '.')))
-    .refine((val) => val > 0, {
-      message: 'O aporte mensal deve ser maior que zero'
-    }),
-  taxa: z
-    .string()
-    .regex(
-      /^\d*(,\d{0,2})?$/,
-      'A taxa deve ser um número e pode conter uma vírgula'
-    )
     .transform((val) => Number(val.replace(/\./g, '').replace(',', '.')))
-    .refine((val) => val > 0, {
-      message: 'A taxa deve ser maior que zero'
+    .refine((val) => val > 0, { message })
+}
+
+// O valor é uma taxa ou, na tarifa fixa, um valor em reais
+const CustoSchema = z
+  .object({
+    tipo: z.enum(TIPOS_DE_CUSTO),
+    valor: z.string(),
+    benchmark: z.enum(Object.keys(BENCHMARKS))
+  })
+  .superRefine((custo, ctx) => {
+    const schema =
+      custo.tipo === 'fixo'
+        ? MoneySchema('A tarifa deve ser maior que zero')
+        : TaxaSchema
+    const parsed = schema.safeParse(custo.valor)
+    if (!parsed.success) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['valor'],
+        message: parsed.error.issues[0].message
+      })
+    }
+  })
+
+// Máscara do valor de cada custo: reais na tarifa fixa, taxa nos demais
+const formatCustos = (custos = [], prefix, setValue) => {
+  custos.forEach((custo, index) => {
+    const formatted =
+      custo.tipo === 'fixo' ? formatMoney(custo.valor) : formatTaxa(custo.valor)
+    if (custo.valor && formatted !== custo.valor) {
+      setValue(`${prefix}custos.${index}.valor`, formatted)
+    }
+  })
+}
+
+// Regras de `monthlyCosts` a partir dos campos de custo
+const toCosts = (custos) => {
+  return custos.map(({ tipo, valor, benchmark }) =>
+    tipo === 'fixo'
+      ? { tipo, valor: parseDecimal(valor) }
+      : { tipo, percentual: parseDecimal(valor), benchmark }
+  )
+}
+
+// A poupança não tem taxa, as demais exigem uma
+const refineTaxa = (produto, ctx) => {
+  if (produto.tipoDeTaxa === 'poupanca') return
+
+  const parsed = TaxaSchema.safeParse(produto.taxa)
+  if (!parsed.success) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['taxa'],
+      message: parsed.error.issues[0].message
     })
-    .nullable(),
-  periodo: z
+  }
+}
+
+// Produtos extras da comparação; o primeiro produto são os campos principais
+const ProdutoSchema = z
+  .object({
+    produto: z.string(),
+    tipoDeTaxa: TipoDeTaxaSchema,
+    isentoDeImposto: z.enum(['sim', 'não']),
+    fundo: z.enum(['não', 'longo', 'curto']),
+    capitalizacao: z.enum(CAPITALIZACOES),
+    taxa: z.string(),
+    vencimento: z.enum(['ano', 'meses']),
+    custos: z.array(CustoSchema)
+  })
+  .superRefine(refineTaxa)
+
+const MAX_PRODUTOS = 4
+
+const PeriodoSchema = z
+  .string({ invalid_type_error: 'Campo obrigatório.' })
+  .regex(/^\d+$/, 'O período deve ser um número inteiro positivo')
+  .transform((val) => Number(val))
+  .refine((val) => val > 0, {
+    message: 'O período deve ser maior que zero'
+  })
+
+const MovimentacaoSchema = z.object({
+  tipo: z.enum(['deposito', 'retirada']),
+  mes: z
     .string()
-    .regex(/^\d+$/, 'O período deve ser um número inteiro positivo')
-    .transform((val) => Number(val))
-    .refine((val) => val > 0, {
-      message: 'O período deve ser maior que zero'
-    })
+    .regex(/^\d+$/, 'Informe o número do mês')
+    .refine((val) => Number(val) > 0, {
+      message: 'O mês deve ser maior que zero'
+    }),
+  valor: MoneySchema('O valor deve ser maior que zero')
 })
 
+// Regras de `contributionSchedule` a partir dos campos do cronograma
+const toSchedule = ({
+  reajusteTipo,
+  reajustePercentual,
+  decimoTerceiro,
+  decimoTerceiroValor,
+  movimentacoes
+}) => {
+  return [
+    reajusteTipo === 'fixo' && {
+      tipo: 'reajuste',
+      percentual: parseDecimal(reajustePercentual)
+    },
+    reajusteTipo === 'ipca' && { tipo: 'reajuste', indice: 'ipca' },
+    decimoTerceiro === 'sim' && {
+      tipo: '13o',
+      valor: decimoTerceiroValor ? parseDecimal(decimoTerceiroValor) : null
+    },
+    ...movimentacoes.map((movimentacao) => ({
+      tipo: movimentacao.tipo,
+      mes: Number(movimentacao.mes),
+      valor: parseDecimal(movimentacao.valor)
+    }))
+  ].filter(Boolean)
+}
+
+// Campos obrigatórios de cada objetivo do formulário
+const CAMPOS_POR_OBJETIVO = {
+  montante: {
+    aporteMensal: MoneySchema('O aporte mensal deve ser maior que zero'),
+    periodo: PeriodoSchema
+  },
+  aporte: {
+    meta: MoneySchema('O valor desejado deve ser maior que zero'),
+    periodo: PeriodoSchema
+  },
+  prazo: {
+    aporteMensal: MoneySchema('O aporte mensal deve ser maior que zero'),
+    meta: MoneySchema('O valor desejado deve ser maior que zero')
+  },
+  independencia: {
+    aporteMensal: MoneySchema('O aporte mensal deve ser maior que zero'),
+    rendaDesejada: MoneySchema('A renda desejada deve ser maior que zero'),
+    taxaRetirada: TaxaSchema
+  }
+}
+
+const MoneyDataSchema = z
+  .object({
+    aporteInicial: z
+      .string()
+      .regex(/^\d{1,3}(\.\d{3})*,\d{2}$/, 'Formato inválido. Use R$ 0,00')
+      .transform((val) => Number(val.replace(/\./g, '').replace(',', '.'))),
+    // Validados no superRefine conforme o objetivo (CAMPOS_POR_OBJETIVO)
+    aporteMensal: z.string(),
+    meta: z.string(),
+    rendaDesejada: z.string(),
+    taxaRetirada: z.string(),
+    periodo: z.string().nullable(),
+    periodoTipo: z.enum(['ano', 'mes']),
+    vencimento: z.enum(['ano', 'meses']),
+    isentoDeImposto: z.enum(['sim', 'não']),
+    fundo: z.enum(['não', 'longo', 'curto']),
+    capitalizacao: z.enum(CAPITALIZACOES),
+    metaTipo: z.enum(['nominal', 'hoje']),
+    objetivo: z.enum(Object.keys(CAMPOS_POR_OBJETIVO)),
+    // Validada no superRefine (a poupança não tem taxa)
+    taxa: z.string(),
+    spreadCDI: z
+      .string()
+      .regex(
+        /^\d*(,\d{0,2})?$/,
+        'O spread deve ser um número e pode conter uma vírgula'
+      )
+      .transform((val) => Number(val.replace(',', '.'))),
+    fonteCDI: z.enum(Object.keys(FONTES_CDI)),
+    produto: z.string(),
+    tipoDeTaxa: TipoDeTaxaSchema,
+    premissasMercado: z.enum(['focus', 'manual']),
+    ipcaManual: z.array(z.string()),
+    cdiManual: z.array(z.string()),
+    comparacao: z.array(ProdutoSchema).max(MAX_PRODUTOS - 1),
+    custos: z.array(CustoSchema),
+    reajusteTipo: z.enum(['nenhum', 'fixo', 'ipca']),
+    reajustePercentual: z.string(),
+    decimoTerceiro: z.enum(['sim', 'não']),
+    decimoTerceiroValor: z
+      .string()
+      .regex(/^(\d{1,3}(\.\d{3})*,\d{2})?$/, 'Formato inválido. Use R$ 0,00'),
+    movimentacoes: z.array(MovimentacaoSchema),
+    faseRetirada: z.enum(['sim', 'não']),
+    rendaRetirada: z.string(),
+    rendaIndexada: z.enum(['fixa', 'ipca']),
+    // Vazio é até o dinheiro acabar; zero anos não é uma fase de retirada
+    anosRetirada: z
+      .string()
+      .regex(
+        /^([1-9]\d*)?$/,
+        'Informe um número inteiro de anos, a partir de 1'
+      )
+  })
+  .superRefine((data, ctx) => {
+    refineTaxa(data, ctx)
+
+    if (data.faseRetirada === 'sim') {
+      const parsed = MoneySchema(
+        'A retirada deve ser maior que zero'
+      ).safeParse(data.rendaRetirada)
+      if (!parsed.success) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['rendaRetirada'],
+          message: parsed.error.issues[0].message
+        })
+      }
+    }
+
+    if (data.reajusteTipo === 'fixo') {
+      const parsed = TaxaSchema.safeParse(data.reajustePercentual)
+      if (!parsed.success) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['reajustePercentual'],
+          message: parsed.error.issues[0].message
+        })
+      }
+    }
+
+    const obrigatorios = Object.entries(CAMPOS_POR_OBJETIVO[data.objetivo])
+    for (const [campo, schema] of obrigatorios) {
+      const parsed = schema.safeParse(data[campo])
+      if (!parsed.success) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: [campo],
+          message: parsed.error.issues[0].message
+        })
+      }
+    }
+
+    // Uma movimentação depois do fim do período seria ignorada. Quando o
+    // prazo é o que se calcula, ele ainda não é conhecido.
+    const periodo = CAMPOS_POR_OBJETIVO[data.objetivo].periodo
+      ? PeriodoSchema.safeParse(data.periodo)
+      : null
+    if (periodo?.success) {
+      const meses =
+        data.periodoTipo === 'ano' ? periodo.data * 12 : periodo.data
+      data.movimentacoes.forEach((movimentacao, index) => {
+        if (Number(movimentacao.mes) > meses) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            path: ['movimentacoes', index, 'mes'],
+            message: `O período termina no mês ${meses}`
+          })
+        }
+      })
+    }
+
+    if (data.premissasMercado !== 'manual') return
+
+    for (const campo of ['ipcaManual', 'cdiManual']) {
+      data[campo].forEach((value, index) => {
+        if (!/^\d+(,\d{1,2})?$/.test(value)) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            path: [campo, index],
+            message: 'Informe a taxa do ano'
+          })
+        }
+      })
+    }
+  })
+
+// Valores iniciais do formulário de simulação; também completam simulações
+// salvas antes de um campo existir
+const MONEY_DEFAULTS = {
+  vencimento: 'ano',
+  isentoDeImposto: 'sim',
+  produto: PRODUTO_PERSONALIZADO,
+  fundo: 'não',
+  capitalizacao: 'mensal',
+  taxa: '',
+  tipoDeTaxa: 'prefixado',
+  spreadCDI: String(SPREAD_SELIC_CDI).replace('.', ','),
+  fonteCDI: 'focus',
+  premissasMercado: 'focus',
+  ipcaManual: ANOS_MANUAIS.map(() => ''),
+  cdiManual: ANOS_MANUAIS.map(() => ''),
+  comparacao: [],
+  custos: [],
+  periodo: null,
+  periodoTipo: 'ano',
+  aporteInicial: 0,
+  aporteMensal: '',
+  objetivo: 'montante',
+  meta: '',
+  metaTipo: 'nominal',
+  rendaDesejada: '',
+  taxaRetirada: '4,00',
+  reajusteTipo: 'nenhum',
+  reajustePercentual: '',
+  decimoTerceiro: 'não',
+  decimoTerceiroValor: '',
+  movimentacoes: [],
+  faseRetirada: 'não',
+  rendaRetirada: '',
+  rendaIndexada: 'fixa',
+  anosRetirada: ''
+}
+
+// Índice de referência exibido na tabela de evolução e nas premissas
+const INDICE_LABELS = {
+  'ipca+': 'IPCA',
+  '%CDI': 'CDI',
+  'CDI+': 'CDI',
+  poupanca: 'Selic'
+}
+
+// Ordem das etapas (ver .env.example)
+const ETAPAS = resolveSteps(import.meta.env.VITE_ETAPAS)
+
 export default function App() {
   const containerRef = useRef(null)
-  const [step, setStep] = useState(2)
+  const [stepIndex, setStepIndex] = useState(0)
+  const etapa = ETAPAS[stepIndex]
+  const step = etapa.id
   const [height, setHeight] = useState(0)
   const [result, setResult] = useState(null)
+  const [consentimento, setConsentimento] = useState(null)
+  // Aceite do último lead enviado
+  const leadEnviado = useRef(null)
+  const [linkCopiado, setLinkCopiado] = useState(false)
+  const [linkManual, setLinkManual] = useState(null)
+  const [historico, setHistorico] = useState(() => readHistory())
+  const [historicoFalhou, setHistoricoFalhou] = useState(false)
 
   useEffect(() => {
     const updateHeight = () => {
@@ -152,31 +476,43 @@ export default function App() {
       }
     }
 
-    // Atualiza na mudança de passo
+    // Atualiza na mudança de etapa
     updateHeight()
 
-    // Atualiza quando redimensionar a janela
-    window.addEventListener('resize', updateHeight)
+    // Atualiza quando o conteúdo mudar de tamanho (janela, tabelas, paginação)
+    const observer = new ResizeObserver(updateHeight)
+    observer.observe(containerRef.current)
 
     // Cleanup para evitar vazamentos de memória
     return () => {
-      window.removeEventListener('resize', updateHeight)
+      observer.disconnect()
     }
   }, [step])
 
+  // Reenvia leads que ficaram na fila ao abrir a página e ao voltar a conexão
+  useEffect(() => {
+    const flush = () => flushLeadQueue(LEAD_CONFIG)
+    flush()
+    window.addEventListener('online', flush)
+    return () => window.removeEventListener('online', flush)
+  }, [])
+
   const {
     register: infoRegister,
     watch: watchInfoValue,
     setValue: setInfoValue,
     handleSubmit: handleInfoSubmit,
-    // getValues: getInfoValues,
+    getValues: getInfoValues,
     formState: { errors: infoErrors }
   } = useForm({
     defaultValues: {
       nome: '',
       email: '',
       whatsapp: '',
-      acceptTerms: false
+      acceptTerms: false,
+      finalidades: Object.fromEntries(
+        FINALIDADES.filter((f) => !f.obrigatoria).map((f) => [f.id, false])
+      )
     },
     resolver: zodResolver(InfoDataSchema)
   })
@@ -187,21 +523,20 @@ export default function App() {
     setValue: setMoneyValue,
     handleSubmit: handleMoneySubmit,
     getValues: getMoneyValues,
-    formState: { errors: moneyErrors }
+    reset: resetMoney,
+    control: moneyControl,
+    formState: { errors: moneyErrors, isSubmitting: calculando }
   } = useForm({
-    defaultValues: {
-      vencimento: 'ano',
-      isentoDeImposto: 'sim',
-      taxa: null,
-      tipoDeTaxa: 'prefixado',
-      periodo: null,
-      periodoTipo: 'ano',
-      aporteInicial: 0,
-      aporteMensal: 0
-    },
+    defaultValues: MONEY_DEFAULTS,
     resolver: zodResolver(MoneyDataSchema)
   })
 
+  const {
+    fields: comparacaoFields,
+    append: appendComparacao,
+    remove: removeComparacao
+  } = useFieldArray({ control: moneyControl, name: 'comparacao' })
+
   const phoneNumberValue = watchInfoValue('whatsapp')
   useEffect(() => {
     setInfoValue('whatsapp', formatPhoneNumber(phoneNumberValue))
@@ -222,6 +557,30 @@ export default function App() {
     }
   }, [aporteMensalValue, setMoneyValue])
 
+  const metaValue = watchMoneyValue('meta')
+
+  useEffect(() => {
+    if (metaValue) {
+      setMoneyValue('meta', formatMoney(metaValue))
+    }
+  }, [metaValue, setMoneyValue])
+
+  const rendaDesejadaValue = watchMoneyValue('rendaDesejada')
+
+  useEffect(() => {
+    if (rendaDesejadaValue) {
+      setMoneyValue('rendaDesejada', formatMoney(rendaDesejadaValue))
+    }
+  }, [rendaDesejadaValue, setMoneyValue])
+
+  const taxaRetiradaValue = watchMoneyValue('taxaRetirada')
+
+  useEffect(() => {
+    if (taxaRetiradaValue) {
+      setMoneyValue('taxaRetirada', formatTaxa(taxaRetiradaValue))
+    }
+  }, [taxaRetiradaValue, setMoneyValue])
+
   const taxaValue = watchMoneyValue('taxa')
 
   useEffect(() => {
@@ -230,6 +589,74 @@ export default function App() {
     }
   }, [taxaValue, setMoneyValue])
 
+  const comparacaoValue = watchMoneyValue('comparacao')
+
+  useEffect(() => {
+    comparacaoValue.forEach((produto, index) => {
+      const formatted = formatTaxa(produto.taxa)
+      if (formatted !== produto.taxa) {
+        setMoneyValue(`comparacao.${index}.taxa`, formatted)
+      }
+      formatCustos(produto.custos, `comparacao.${index}.`, setMoneyValue)
+    })
+  }, [comparacaoValue, setMoneyValue])
+
+  const custosValue = watchMoneyValue('custos')
+
+  useEffect(() => {
+    formatCustos(custosValue, '', setMoneyValue)
+  }, [custosValue, setMoneyValue])
+
+  const reajustePercentualValue = watchMoneyValue('reajustePercentual')
+
+  useEffect(() => {
+    if (reajustePercentualValue) {
+      setMoneyValue('reajustePercentual', formatTaxa(reajustePercentualValue))
+    }
+  }, [reajustePercentualValue, setMoneyValue])
+
+  const decimoTerceiroValorValue = watchMoneyValue('decimoTerceiroValor')
+
+  useEffect(() => {
+    if (decimoTerceiroValorValue) {
+      setMoneyValue(
+        'decimoTerceiroValor',
+        formatMoney(decimoTerceiroValorValue)
+      )
+    }
+  }, [decimoTerceiroValorValue, setMoneyValue])
+
+  const movimentacoesValue = watchMoneyValue('movimentacoes')
+
+  useEffect(() => {
+    movimentacoesValue.forEach((movimentacao, index) => {
+      const mes = movimentacao.mes.replace(/\D+/g, '')
+      if (mes !== movimentacao.mes) {
+        setMoneyValue(`movimentacoes.${index}.mes`, mes)
+      }
+      const valor = formatMoney(movimentacao.valor)
+      if (movimentacao.valor && valor !== movimentacao.valor) {
+        setMoneyValue(`movimentacoes.${index}.valor`, valor)
+      }
+    })
+  }, [movimentacoesValue, setMoneyValue])
+
+  const rendaRetiradaValue = watchMoneyValue('rendaRetirada')
+
+  useEffect(() => {
+    if (rendaRetiradaValue) {
+      setMoneyValue('rendaRetirada', formatMoney(rendaRetiradaValue))
+    }
+  }, [rendaRetiradaValue, setMoneyValue])
+
+  const anosRetiradaValue = watchMoneyValue('anosRetirada')
+
+  useEffect(() => {
+    if (anosRetiradaValue) {
+      setMoneyValue('anosRetirada', anosRetiradaValue.replace(/\D+/g, ''))
+    }
+  }, [anosRetiradaValue, setMoneyValue])
+
   const periodoValue = watchMoneyValue('periodo')
 
   useEffect(() => {
@@ -242,8 +669,43 @@ export default function App() {
     }
   }, [periodoValue, setMoneyValue])
 
+  // Os formulários continuam montados no App, então voltar não perde valores
+  const goTo = (id) => setStepIndex(ETAPAS.findIndex((e) => e.id === id))
+  const next = () => setStepIndex((index) => index + 1)
+  const back = () => setStepIndex((index) => Math.max(index - 1, 0))
+
+  const skip = () => {
+    // Pular o contato também desfaz um aceite anterior
+    if (step === 'contato') setConsentimento(null)
+    next()
+  }
+
+  const stepButtons = (proximo) => (
+    <div className="w-full flex gap-4 px-4">
+      {stepIndex > 0 && (
+        <Button label="Voltar" type="back" outline buttonAction={back} />
+      )}
+      {etapa.opcional && (
+        <Button label="Pular" type="back" outline buttonAction={skip} />
+      )}
+      {proximo}
+    </div>
+  )
+
+  const acceptInfo = ({ finalidades }) => {
+    setConsentimento(
+      buildConsent(
+        FINALIDADES.filter((f) => f.obrigatoria || finalidades[f.id]).map(
+          (f) => f.id
+        )
+      )
+    )
+    next()
+  }
+
   const calculate = async () => {
     const {
+      produto,
       tipoDeTaxa,
       periodo,
       periodoTipo,
@@ -251,130 +713,289 @@ export default function App() {
       aporteMensal,
       taxa,
       isentoDeImposto,
-      vencimento
+      fundo,
+      capitalizacao,
+      vencimento,
+      spreadCDI,
+      fonteCDI,
+      premissasMercado,
+      ipcaManual,
+      cdiManual,
+      comparacao,
+      objetivo,
+      meta,
+      metaTipo,
+      rendaDesejada,
+      taxaRetirada,
+      faseRetirada,
+      rendaRetirada,
+      rendaIndexada,
+      anosRetirada,
+      custos,
+      ...camposDoCronograma
     } = getMoneyValues()
 
-    let meses = periodo
-
-    if (periodoTipo === 'ano') {
-      meses = periodo * 12
+    const calculaAporte = objetivo === 'aporte'
+    const calculaPrazo = objetivo === 'prazo' || objetivo === 'independencia'
+
+    const produtos = [
+      {
+        produto,
+        tipoDeTaxa,
+        taxa,
+        vencimento,
+        isentoDeImposto,
+        fundo,
+        capitalizacao,
+        custos
+      },
+      ...comparacao
+    ].map((produto) => ({
+      produto: produto.produto,
+      tipoDeTaxa: produto.tipoDeTaxa,
+      taxa: parseDecimal(produto.taxa),
+      vencimento: produto.vencimento,
+      isento: produto.isentoDeImposto === 'sim',
+      fundo:
+        produto.isentoDeImposto === 'não' && produto.fundo !== 'não'
+          ? produto.fundo
+          : null,
+      capitalizacao: produto.capitalizacao,
+      custos: toCosts(produto.custos)
+    }))
+
+    // O IPCA e o CDI são sempre buscados: o IPCA para o resultado em reais de
+    // hoje e o CDI (com a Selic) para as referências de poupança e CDI
+    const curvas = {}
+    const premissas = {}
+    const manual = premissasMercado === 'manual'
+
+    const { curva: curvaIPCA, ...ipca } = manual
+      ? { curva: toManualCurve(ipcaManual), origem: 'manual' }
+      : await fetchIPCARateReal()
+    curvas.ipca = curvaIPCA
+    premissas.ipca = ipca
+
+    const { curva, selic, ...cdi } = manual
+      ? { curva: toManualCurve(cdiManual), origem: 'manual' }
+      : await fetchCDIRateReal({
+          spread: parseDecimal(spreadCDI),
+          fonte: fonteCDI
+        })
+    curvas.cdi = curva
+    // Com o CDI informado à mão, a Selic da poupança é ele mais o spread
+    curvas.selic =
+      selic ??
+      Object.fromEntries(
+        Object.entries(curva).map(([ano, taxa]) => [
+          ano,
+          taxa + parseDecimal(spreadCDI)
+        ])
+      )
+    premissas.cdi = cdi
+
+    // A Focus não projeta a TR; a poupança (sempre nas referências) a
+    // considera zero
+    premissas.tr = 0
+
+    const base = {
+      aporteInicial: parseDecimal(aporteInicial),
+      meses: periodoTipo === 'ano' ? Number(periodo) * 12 : Number(periodo),
+      cronograma: toSchedule(camposDoCronograma),
+      curvas
     }
 
-    console.log(tipoDeTaxa)
-
-    const taxaValue =
-      tipoDeTaxa === '+CDI'
-        ? 0
-        : Number(taxa.replace(/\./g, '').replace(',', '.'))
-    const aporteInicialValue = Number(
-      aporteInicial.replace(/\./g, '').replace(',', '.')
-    )
-    const aporteMensalValue = Number(
-      aporteMensal.replace(/\./g, '').replace(',', '.')
-    )
-
-    const covertedTaxa =
-      vencimento === 'meses' ? taxaValue / 100 : taxaValue / 12 / 100
-
-    if (tipoDeTaxa === 'prefixado') {
-      const montanteBruto =
-        aporteInicialValue * Math.pow(1 + covertedTaxa, meses) +
-        aporteMensalValue *
-          ((Math.pow(1 + covertedTaxa, meses) - 1) / covertedTaxa)
-
-      const totalInvestido = aporteInicialValue + aporteMensalValue * meses
-      const rendimento = montanteBruto - totalInvestido
-
-      const liquido =
-        isentoDeImposto === 'sim'
-          ? montanteBruto
-          : montanteBruto - rendimento * 0.15
-
-      setResult({
-        montanteBruto,
-        montanteLiquido: liquido
-      })
-    } else if (tipoDeTaxa === 'ipca+') {
-      const ipcaData = await fetchIPCARateReal()
-
-      const anoFinal = Math.max(...Object.keys(ipcaData).map(Number))
-      const today = new Date()
-
-      let montante = aporteInicialValue
-      let totalInvestido = aporteInicialValue
-
-      for (let i = 1; i <= meses; i++) {
-        const futureDate = new Date(today)
-        futureDate.setMonth(today.getMonth() + i)
+    let aporteNecessario
+    let prazo
 
-        const ano = futureDate.getFullYear()
-        const ipcaAno = ipcaData[ano]?.Media ?? ipcaData[anoFinal].Media // pega do ano ou último disponível
-
-        const ipcaMes = ipcaAno / 12 / 100
-        const taxaReal = covertedTaxa
-        const taxaEfetiva = (1 + taxaReal) * (1 + ipcaMes) - 1
+    if (calculaAporte) {
+      aporteNecessario = requiredContribution(
+        { ...base, ...produtos[0] },
+        parseDecimal(meta),
+        { emReaisDeHoje: metaTipo === 'hoje' }
+      )
+      base.aporteMensal = aporteNecessario ?? 0
+    } else {
+      base.aporteMensal = parseDecimal(aporteMensal)
+    }
 
-        // capitaliza o montante com a taxa efetiva + adiciona o aporte mensal
-        montante = (montante + aporteMensalValue) * (1 + taxaEfetiva)
-        totalInvestido += aporteMensalValue
+    if (calculaPrazo) {
+      // A renda desejada está em reais de hoje, então o patrimônio também
+      const independencia = objetivo === 'independencia'
+      const emReaisDeHoje = independencia || metaTipo === 'hoje'
+      const alvo = independencia
+        ? independenceTarget(
+            parseDecimal(rendaDesejada),
+            parseDecimal(taxaRetirada)
+          )
+        : parseDecimal(meta)
+
+      prazo = {
+        alvo,
+        independencia,
+        emReaisDeHoje,
+        ...timeToGoal({ ...base, ...produtos[0] }, alvo, { emReaisDeHoje })
       }
 
-      const rendimento = montante - totalInvestido
-
-      const liquido =
-        isentoDeImposto === 'sim' ? montante : montante - rendimento * 0.15
+      // Mostra a simulação até a data encontrada (ou o prazo máximo buscado)
+      base.meses = prazo.meses ?? MAX_MESES
+    }
 
-      setResult({
-        montanteBruto: montante,
-        montanteLiquido: liquido
-      })
-    } else {
-      const cdi = await fetchCDIRateReal()
+    const comparado =
+      produtos.length > 1 ? compareProducts({ base, produtos }) : null
+
+    const decumulacao =
+      faseRetirada === 'sim'
+        ? {
+            renda: parseDecimal(rendaRetirada),
+            indexada: rendaIndexada === 'ipca',
+            meses: anosRetirada ? Number(anosRetirada) * 12 : null
+          }
+        : null
+
+    // A retirada só é simulada no produto principal, depois das buscas
+    const resultado = {
+      ...(comparado && !decumulacao
+        ? comparado.resultados[0]
+        : simulate({ ...base, ...produtos[0], decumulacao })),
+      tipoDeTaxa,
+      entradas: {
+        ...produtos[0],
+        aporteInicial: base.aporteInicial,
+        aporteMensal: base.aporteMensal,
+        cronograma: base.cronograma,
+        meses: base.meses
+      },
+      premissas,
+      comparacao: comparado && { ...comparado, produtos },
+      meta: calculaAporte
+        ? { valor: parseDecimal(meta), tipo: metaTipo, aporteNecessario }
+        : null,
+      prazo: calculaPrazo ? prazo : null
+    }
+    resultado.referencias = benchmarkResults(base, resultado)
 
-      const anoFinal = Math.max(...Object.keys(cdi).map(Number))
-      const today = new Date()
+    setResult(resultado)
+    updateHistory(
+      saveSimulation({ entradas: getMoneyValues(), curvas, resultado })
+    )
 
-      let montante = aporteInicialValue
-      let totalInvestido = aporteInicialValue
+    // Sem esperar: se falhar o lead vai para a fila e não trava o resultado
+    // Só envia o contato de quem aceitou os termos, uma vez por aceite: o
+    // "Recalcular" não manda outro
+    if (consentimento && leadEnviado.current !== consentimento) {
+      leadEnviado.current = consentimento
+      const { nome, email, whatsapp } = getInfoValues()
+      submitLead(
+        buildLeadPayload({
+          lead: { nome, email, whatsapp, consentimento },
+          entradas: getMoneyValues(),
+          resultado
+        }),
+        LEAD_CONFIG
+      )
+    }
 
-      for (let i = 1; i <= meses; i++) {
-        const futureDate = new Date(today)
-        futureDate.setMonth(today.getMonth() + i)
+    goTo('resultado')
+  }
 
-        const ano = futureDate.getFullYear()
-        const ipcaAno = cdi[ano]?.Media
-          ? cdi[ano]?.Media * 1.2
-          : cdi[anoFinal].Media * 1.2 // pega do ano ou último disponível
+  // Link compartilhado: preenche o formulário e vai direto ao resultado. Um
+  // link inválido é ignorado e o assistente abre normalmente. Só na abertura
+  // da página, então vale o `calculate` do primeiro render.
+  const openSharedLink = useRef(() => {
+    const valores = fromQueryString(window.location.search)
+    if (!valores) return
 
-        const ipcaMes = ipcaAno / 12 / 100
-        const taxaReal = taxaValue / 100 / 12
-        const taxaEfetiva = (1 + taxaReal) * (1 + ipcaMes) - 1
+    const preenchido = { ...getMoneyValues(), ...valores }
+    if (!MoneyDataSchema.safeParse(preenchido).success) return
 
-        // capitaliza o montante com a taxa efetiva + adiciona o aporte mensal
-        montante = (montante + aporteMensalValue) * (1 + taxaEfetiva)
-        totalInvestido += aporteMensalValue
-      }
+    resetMoney(preenchido)
+    calculate()
+  })
+  useEffect(() => openSharedLink.current(), [])
+
+  // Fora de um contexto seguro (http, iframe sem permissão) não há acesso à
+  // área de transferência: o link aparece num campo para copiar à mão
+  const copyLink = async () => {
+    const url = buildShareUrl(getMoneyValues())
+    try {
+      await navigator.clipboard.writeText(url)
+    } catch {
+      setLinkManual(url)
+      return
+    }
+    setLinkManual(null)
+    setLinkCopiado(true)
+    setTimeout(() => setLinkCopiado(false), 2000)
+  }
 
-      const rendimento = montante - totalInvestido
+  const exportCSV = () => {
+    downloadFile(
+      buildEvolutionCSV(fullEvolution(result), {
+        indiceLabel: INDICE_LABELS[result.tipoDeTaxa]
+      }),
+      'simulacao.csv',
+      'text/csv;charset=utf-8'
+    )
+  }
 
-      const liquido =
-        isentoDeImposto === 'sim' ? montante : montante - rendimento * 0.15
+  // O jsPDF só é baixado quando alguém exporta
+  const exportPDF = async () => {
+    const { buildResultPDF } = await import('./lib/pdf')
+    buildResultPDF(result, {
+      indiceLabel: INDICE_LABELS[result.tipoDeTaxa]
+    }).save('simulacao.pdf')
+  }
 
-      setResult({
-        montanteBruto: montante,
-        montanteLiquido: liquido
-      })
-    }
+  // Abre uma simulação salva com as curvas de quando foi feita, sem buscá-las
+  // de novo; a evolução mês a mês é refeita
+  const loadSimulation = (item) => {
+    resetMoney({
+      ...MONEY_DEFAULTS,
+      ...item.entradas,
+      comparacao: (item.entradas.comparacao ?? []).map((produto) => ({
+        produto: PRODUTO_PERSONALIZADO,
+        fundo: 'não',
+        capitalizacao: 'mensal',
+        custos: [],
+        ...produto
+      }))
+    })
+    setResult(restoreSimulation(item))
+    goTo('resultado')
+  }
 
-    setStep((e) => e + 1)
+  // As funções do histórico devolvem `null` quando o navegador não gravou
+  const updateHistory = (lista) => {
+    setHistoricoFalhou(lista === null)
+    if (lista) setHistorico(lista)
   }
 
+  const historyPanel = (
+    <div className="p-3 sm:p-4">
+      {historicoFalhou && (
+        <p className="text-sm text-red-500 pb-2">
+          Não foi possível salvar no histórico: o armazenamento do navegador
+          está cheio ou desabilitado.
+        </p>
+      )}
+      <HistoryPanel
+        historico={historico}
+        onRename={(id, nome) => updateHistory(renameSimulation(id, nome))}
+        onLoad={loadSimulation}
+        onDuplicate={(id) => updateHistory(duplicateSimulation(id))}
+        onDelete={(id) => updateHistory(deleteSimulation(id))}
+      />
+    </div>
+  )
+
+  const objetivo = watchMoneyValue('objetivo')
   let currentForm
 
-  if (step === 0) {
+  if (step === 'intro') {
     currentForm = (
       <motion.div
-        key="step-1"
+        key="intro"
         initial={{ opacity: 0 }}
         animate={{ opacity: 1 }}
         exit={{ opacity: 0 }}
@@ -390,26 +1011,22 @@ export default function App() {
               Tempo de preenchimento: 1 minutos
             </p>
           </div>
-          <div className="w-full flex gap-4 px-4">
-            <Button
-              label="INICIAR"
-              type="button"
-              buttonAction={() => setStep(1)}
-            />
-          </div>
+          {stepButtons(
+            <Button label="INICIAR" type="button" buttonAction={next} />
+          )}
         </div>
       </motion.div>
     )
-  } else if (step === 1) {
+  } else if (step === 'contato') {
     currentForm = (
       <motion.div
-        key="step-2"
+        key="contato"
         initial={{ opacity: 0, y: 20 }}
         animate={{ opacity: 1, y: 0 }}
         exit={{ opacity: 0, y: 20 }}
         transition={{ duration: 0.5 }}
       >
-        <form onSubmit={handleInfoSubmit(() => setStep((e) => e + 1))}>
+        <form onSubmit={handleInfoSubmit(acceptInfo)}>
           <div className="p-3 sm:p-4 flex flex-col gap-2">
             <Input
               id={'nome'}
@@ -446,8 +1063,7 @@ export default function App() {
                 htmlFor="acceptTerms"
                 className="text-xs sm:text-lg text-center cursor-pointer text-blue-500/80 w-full h-full"
               >
-                Ao selecionar essa opção você aceita receber informações da nos
-                contatos informados acima
+                {TERMOS.texto}
               </label>
             </div>
 
@@ -456,17 +1072,38 @@ export default function App() {
             >
               {infoErrors.acceptTerms?.message || 'placeholder'}
             </span>
+
+            {FINALIDADES.filter((f) => !f.obrigatoria).map((finalidade) => (
+              <div
+                key={finalidade.id}
+                className="w-full flex justify-center items-center gap-2"
+              >
+                <input
+                  type="checkbox"
+                  id={`finalidades.${finalidade.id}`}
+                  {...infoRegister(`finalidades.${finalidade.id}`)}
+                  className="w-5 h-5 cursor-pointer accent-blue-500"
+                />
+                <label
+                  htmlFor={`finalidades.${finalidade.id}`}
+                  className="text-xs sm:text-base text-center cursor-pointer text-blue-500/80 w-full h-full"
+                >
+                  {finalidade.label} (opcional)
+                </label>
+              </div>
+            ))}
+            <p className="text-xs text-center text-neutral-500">
+              Termos versão {TERMOS.versao}
+            </p>
           </div>
-          <div className="w-full flex gap-4 px-4">
-            <Button label="Próximo" type="submit" />
-          </div>
+          {stepButtons(<Button label="Próximo" type="submit" />)}
         </form>
       </motion.div>
     )
-  } else if (step === 2) {
+  } else if (step === 'simulacao') {
     currentForm = (
       <motion.div
-        key="step-2"
+        key="simulacao"
         initial={{ opacity: 0, y: 20 }}
         animate={{ opacity: 1, y: 0 }}
         exit={{ opacity: 0, y: 20 }}
@@ -476,6 +1113,24 @@ export default function App() {
           onSubmit={handleMoneySubmit(() => calculate())}
           className="w-full h-full"
         >
+          <div className="p-3 sm:p-4 flex flex-col md:flex-row gap-2 w-full h-full">
+            <InputSelect
+              options={[
+                { label: 'Quanto vou acumular', value: 'montante' },
+                { label: 'Quanto preciso aportar por mês', value: 'aporte' },
+                { label: 'Em quanto tempo chego lá', value: 'prazo' },
+                { label: 'Quando posso viver de renda', value: 'independencia' }
+              ]}
+              onChange={(e) => {
+                setMoneyValue('objetivo', e)
+                // As metas são calculadas para um produto só
+                if (e !== 'montante') removeComparacao()
+              }}
+              value={watchMoneyValue('objetivo')}
+              error={moneyErrors.objetivo}
+              label="O que você quer calcular?"
+            />
+          </div>
           <div className="p-3 sm:p-4 flex flex-col md:flex-row gap-2 w-full h-full">
             <Input
               id={'aporteInicial'}
@@ -484,117 +1139,336 @@ export default function App() {
               register={moneyRegister}
               error={moneyErrors.aporteInicial}
             />
-            <Input
-              id={'aporteMensal'}
-              label={'Aporte Mensal'}
-              required
-              register={moneyRegister}
-              error={moneyErrors.aporteMensal}
-            />
-          </div>
-          <div className="p-3 sm:p-4 flex flex-col md:flex-row gap-2 w-full h-full">
-            <InputSelect
-              options={[
-                { label: 'Prefixado', value: 'prefixado' },
-                { label: 'ipca+', value: 'ipca+' },
-                { label: 'cdi', value: '+CDI' }
-              ]}
-              onChange={(e) => setMoneyValue('tipoDeTaxa', e)}
-              value={watchMoneyValue('tipoDeTaxa')}
-              error={moneyErrors.tipoDeTaxa}
-              label="Tipo de taxa"
-            />
-            <InputSelect
-              options={[
-                { label: 'Isento', value: 'sim' },
-                { label: 'Não isento', value: 'não' }
-              ]}
-              onChange={(e) => setMoneyValue('isentoDeImposto', e)}
-              value={watchMoneyValue('isentoDeImposto')}
-              error={moneyErrors.isentoDeImposto}
-              label="Imposto de Renda"
-            />
-          </div>
-          <div className="p-3 sm:p-4 flex flex-col md:flex-row gap-2 w-full h-full">
-            {watchMoneyValue('tipoDeTaxa') !== '+CDI' && (
+            {['montante', 'prazo', 'independencia'].includes(objetivo) && (
+              <Input
+                id={'aporteMensal'}
+                label={'Aporte Mensal'}
+                required
+                register={moneyRegister}
+                error={moneyErrors.aporteMensal}
+              />
+            )}
+            {['aporte', 'prazo'].includes(objetivo) && (
               <div className="w-full flex gap-1">
                 <Input
-                  id={'taxa'}
-                  label={'Taxa de juros %'}
+                  id={'meta'}
+                  label={'Valor líquido desejado'}
                   required
                   register={moneyRegister}
-                  error={moneyErrors.taxa}
+                  error={moneyErrors.meta}
                 />
                 <div className="min-w-36 w-[20%]">
                   <InputSelect
                     options={[
-                      { label: 'mensal', value: 'meses' },
-                      { label: 'anual', value: 'ano' }
+                      { label: 'nominal', value: 'nominal' },
+                      { label: 'em reais de hoje', value: 'hoje' }
                     ]}
-                    onChange={(e) => setMoneyValue('vencimento', e)}
-                    value={watchMoneyValue('vencimento')}
-                    error={moneyErrors.vencimento}
+                    onChange={(e) => setMoneyValue('metaTipo', e)}
+                    value={watchMoneyValue('metaTipo')}
+                    error={moneyErrors.metaTipo}
                     label=""
                   />
                 </div>
               </div>
             )}
-
-            <div className="w-full flex gap-1">
+          </div>
+          {objetivo === 'independencia' && (
+            <div className="p-3 sm:p-4 flex flex-col md:flex-row gap-2 w-full h-full">
               <Input
-                id={'periodo'}
-                label={'Período'}
+                id={'rendaDesejada'}
+                label={'Renda mensal desejada (em reais de hoje)'}
                 required
                 register={moneyRegister}
-                error={moneyErrors.periodo}
+                error={moneyErrors.rendaDesejada}
               />
-              <div className="min-w-36 w-[20%]">
-                <InputSelect
-                  options={[
-                    { label: 'mes(es)', value: 'mes' },
-                    { label: 'ano(s)', value: 'ano' }
-                  ]}
-                  onChange={(e) => setMoneyValue('periodoTipo', e)}
-                  value={watchMoneyValue('periodoTipo')}
-                  error={moneyErrors.periodoTipo}
-                  label=""
+              <Input
+                id={'taxaRetirada'}
+                label={'Taxa de retirada segura % a.a.'}
+                required
+                register={moneyRegister}
+                error={moneyErrors.taxaRetirada}
+              />
+            </div>
+          )}
+          <ProductFields
+            register={moneyRegister}
+            watch={watchMoneyValue}
+            setValue={setMoneyValue}
+            errors={moneyErrors}
+          >
+            {CAMPOS_POR_OBJETIVO[objetivo].periodo && (
+              <div className="w-full flex gap-1">
+                <Input
+                  id={'periodo'}
+                  label={'Período'}
+                  required
+                  register={moneyRegister}
+                  error={moneyErrors.periodo}
                 />
+                <div className="min-w-36 w-[20%]">
+                  <InputSelect
+                    options={[
+                      { label: 'mes(es)', value: 'mes' },
+                      { label: 'ano(s)', value: 'ano' }
+                    ]}
+                    onChange={(e) => setMoneyValue('periodoTipo', e)}
+                    value={watchMoneyValue('periodoTipo')}
+                    error={moneyErrors.periodoTipo}
+                    label=""
+                  />
+                </div>
               </div>
+            )}
+          </ProductFields>
+          <CostFields
+            control={moneyControl}
+            register={moneyRegister}
+            watch={watchMoneyValue}
+            setValue={setMoneyValue}
+            errors={moneyErrors.custos}
+          />
+          {comparacaoFields.map((produto, index) => (
+            <div key={produto.id} className="border-t-2 border-blue-100">
+              <div className="px-3 sm:px-4 pt-3 flex justify-between items-center text-blue-500">
+                <span className="font-semibold">Produto {index + 2}</span>
+                <button
+                  type="button"
+                  onClick={() => removeComparacao(index)}
+                  className="text-sm cursor-pointer hover:opacity-80"
+                >
+                  Remover
+                </button>
+              </div>
+              <ProductFields
+                prefix={`comparacao.${index}.`}
+                register={moneyRegister}
+                watch={watchMoneyValue}
+                setValue={setMoneyValue}
+                errors={moneyErrors.comparacao?.[index]}
+              />
+              <CostFields
+                prefix={`comparacao.${index}.`}
+                control={moneyControl}
+                register={moneyRegister}
+                watch={watchMoneyValue}
+                setValue={setMoneyValue}
+                errors={moneyErrors.comparacao?.[index]?.custos}
+              />
             </div>
+          ))}
+          {objetivo === 'montante' &&
+            comparacaoFields.length < MAX_PRODUTOS - 1 && (
+              <div className="px-3 sm:px-4">
+                <button
+                  type="button"
+                  onClick={() =>
+                    appendComparacao({
+                      tipoDeTaxa: 'prefixado',
+                      isentoDeImposto: 'não',
+                      produto: PRODUTO_PERSONALIZADO,
+                      fundo: 'não',
+                      capitalizacao: 'mensal',
+                      taxa: '',
+                      vencimento: 'ano',
+                      custos: []
+                    })
+                  }
+                  className="text-sm text-blue-500 cursor-pointer hover:opacity-80"
+                >
+                  + Comparar com outro produto
+                </button>
+              </div>
+            )}
+          <ScheduleFields
+            control={moneyControl}
+            register={moneyRegister}
+            watch={watchMoneyValue}
+            setValue={setMoneyValue}
+            errors={moneyErrors}
+          />
+          <RetirementFields
+            register={moneyRegister}
+            watch={watchMoneyValue}
+            setValue={setMoneyValue}
+            errors={moneyErrors}
+          />
+          <div className="p-3 sm:p-4 flex flex-col md:flex-row gap-2 w-full h-full">
+            <InputSelect
+              options={[
+                { label: 'Projeção de mercado (Focus)', value: 'focus' },
+                { label: 'Minhas premissas', value: 'manual' }
+              ]}
+              onChange={(e) => setMoneyValue('premissasMercado', e)}
+              value={watchMoneyValue('premissasMercado')}
+              error={moneyErrors.premissasMercado}
+              label="Projeção dos índices"
+            />
+            {watchMoneyValue('premissasMercado') === 'focus' && (
+              <>
+                <InputSelect
+                  options={Object.entries(FONTES_CDI).map(([value, label]) => ({
+                    label,
+                    value
+                  }))}
+                  onChange={(e) => setMoneyValue('fonteCDI', e)}
+                  value={watchMoneyValue('fonteCDI')}
+                  error={moneyErrors.fonteCDI}
+                  label="Fonte do CDI"
+                />
+                <Input
+                  id={'spreadCDI'}
+                  label={'Spread Selic → CDI (p.p.)'}
+                  register={moneyRegister}
+                  error={moneyErrors.spreadCDI}
+                />
+              </>
+            )}
           </div>
-          <div className="w-full flex gap-4 px-4">
-            <Button label="Próximo" type="submit" />
-          </div>
+          {watchMoneyValue('premissasMercado') === 'manual' &&
+            [
+              { campo: 'ipcaManual', label: 'IPCA' },
+              { campo: 'cdiManual', label: 'CDI' }
+            ].map(({ campo, label }) => (
+              <div
+                key={campo}
+                className="p-3 sm:p-4 grid grid-cols-2 md:grid-cols-5 gap-2 w-full"
+              >
+                {ANOS_MANUAIS.map((ano, index) => (
+                  <Input
+                    key={`${campo}.${index}`}
+                    id={`${campo}.${index}`}
+                    label={`${label} ${ano} %`}
+                    required
+                    register={moneyRegister}
+                    error={moneyErrors[campo]?.[index]}
+                  />
+                ))}
+              </div>
+            ))}
+          {stepButtons(
+            <Button
+              label={calculando ? 'Calculando...' : 'Próximo'}
+              type="submit"
+              disabled={calculando}
+            />
+          )}
         </form>
+        {historyPanel}
       </motion.div>
     )
   } else {
     currentForm = (
       <motion.div
-        key="step-3"
+        key="resultado"
         initial={{ opacity: 0, y: 20 }}
         animate={{ opacity: 1, y: 0 }}
         exit={{ opacity: 0, y: 20 }}
         transition={{ duration: 0.5 }}
       >
-        <p>
-          Montante Bruto:{' '}
-          {result.montanteBruto.toLocaleString('pt-BR', {
-            style: 'currency',
-            currency: 'BRL',
-            minimumFractionDigits: 2,
-            maximumFractionDigits: 2
-          })}
-        </p>
-        <p>
-          Montante Líquido:{' '}
-          {result.montanteLiquido.toLocaleString('pt-BR', {
-            style: 'currency',
-            currency: 'BRL',
-            minimumFractionDigits: 2,
-            maximumFractionDigits: 2
-          })}
-        </p>
+        <div className="p-3 sm:p-4 flex flex-col gap-4">
+          <p className="font-semibold text-neutral-600">
+            {formatProduct(result.entradas)}
+          </p>
+          {result.meta && (
+            <div className="font-semibold text-blue-500">
+              {result.meta.aporteNecessario === null ? (
+                <p>Não há aporte mensal que alcance essa meta no prazo.</p>
+              ) : (
+                <p>
+                  Aporte mensal necessário:{' '}
+                  {formatCurrency(result.meta.aporteNecessario)} para chegar a{' '}
+                  {formatCurrency(result.meta.valor)}
+                  {result.meta.tipo === 'hoje' && ' em reais de hoje'}
+                </p>
+              )}
+            </div>
+          )}
+          {result.prazo && <GoalTime prazo={result.prazo} />}
+          <div>
+            {result.totalRetirado > 0 && (
+              <p>Total retirado: {formatCurrency(result.totalRetirado)}</p>
+            )}
+            <p>Montante Bruto: {formatCurrency(result.montanteBruto)}</p>
+            {result.totalCustos > 0 && (
+              <p>Custos pagos: {formatCurrency(result.totalCustos)}</p>
+            )}
+            {result.iof > 0 && <p>IOF: {formatCurrency(result.iof)}</p>}
+            <p>Imposto de Renda: {formatCurrency(result.imposto)}</p>
+            {result.comeCotas > 0 && (
+              <p>
+                Come-cotas pago no caminho (incluso no IR):{' '}
+                {formatCurrency(result.comeCotas)}
+              </p>
+            )}
+            <p>Montante Líquido: {formatCurrency(result.montanteLiquido)}</p>
+            {result.montanteReal !== null && (
+              <p>
+                Valor em reais de hoje: {formatCurrency(result.montanteReal)}
+              </p>
+            )}
+            {result.rentabilidadeReal !== null && (
+              <p>
+                Rentabilidade real: {formatPercent(result.rentabilidadeReal)}{' '}
+                a.a.
+              </p>
+            )}
+          </div>
+          {result.referencias && (
+            <BenchmarkTable referencias={result.referencias} />
+          )}
+          {result.comparacao && <CompareTable comparacao={result.comparacao} />}
+          <Assumptions premissas={result.premissas} />
+          <GrowthChart evolucao={result.evolucao} />
+          {result.decumulacao && (
+            <RetirementPhase
+              decumulacao={result.decumulacao}
+              evolucao={result.evolucao}
+            />
+          )}
+          <EvolutionTable
+            evolucao={fullEvolution(result)}
+            indiceLabel={INDICE_LABELS[result.tipoDeTaxa]}
+          />
+        </div>
+        <div className="w-full flex gap-4 px-4 mb-4">
+          <Button
+            label="Exportar PDF"
+            type="button"
+            outline
+            buttonAction={exportPDF}
+          />
+          <Button
+            label="Exportar CSV"
+            type="button"
+            outline
+            buttonAction={exportCSV}
+          />
+        </div>
+        <div className="w-full flex gap-4 px-4">
+          <Button
+            label={linkCopiado ? 'Link copiado!' : 'Copiar link'}
+            type="button"
+            outline
+            buttonAction={copyLink}
+          />
+          <Button
+            label="Recalcular"
+            type="button"
+            buttonAction={() => goTo('simulacao')}
+          />
+        </div>
+        {linkManual && (
+          <label className="w-full flex flex-col gap-1 px-4 pt-2 text-sm text-neutral-500">
+            Não foi possível copiar. Selecione e copie o link:
+            <input
+              readOnly
+              value={linkManual}
+              onFocus={(e) => e.target.select()}
+              className="w-full px-2 py-1 rounded-md border border-blue-300 text-neutral-600"
+            />
+          </label>
+        )}
+        {historyPanel}
       </motion.div>
     )
   }
@@ -607,6 +1481,19 @@ export default function App() {
         className="overflow-hidden bg-white/90 rounded transition-allduration-300 ease-in-out w-full max-w-200"
       >
         <div className="w-full py-10" ref={containerRef}>
+          <div className="flex px-4 sm:px-6">
+            {ETAPAS.map((item, index) => (
+              <StepMarker
+                key={item.id}
+                label={index + 1}
+                text={item.label}
+                selected={index <= stepIndex}
+                showText={index === stepIndex}
+                line={index < ETAPAS.length - 1}
+                step={stepIndex + 1}
+              />
+            ))}
+          </div>
           {currentForm}
         </div>
       </motion.div>
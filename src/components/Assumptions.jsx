@@ -0,0 +1,14 @@
+import { assumptionLines } from '../lib/assumptions'
+
+export function Assumptions({ premissas }) {
+  const linhas = assumptionLines(premissas)
+  if (linhas.length === 0) return null
+
+  return (
+    <div className="text-sm text-neutral-500">
+      {linhas.map((linha) => (
+        <p key={linha}>{linha}</p>
+      ))}
+    </div>
+  )
+}
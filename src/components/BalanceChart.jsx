@@ -0,0 +1,57 @@
+import { useMemo } from 'react'
+import { motion } from 'framer-motion'
+import { formatCurrency } from '../lib/format'
+import { samplePoints } from '../lib/chart'
+import { ChartFrame } from './ChartFrame'
+
+// Saldo bruto ao longo da acumulação e da retirada; `inicioRetirada` é o mês
+// em que as retiradas começam
+export function BalanceChart({ evolucao, inicioRetirada }) {
+  const points = useMemo(() => samplePoints(evolucao), [evolucao])
+  const maxValue = Math.max(...points.map((point) => point.saldo))
+
+  return (
+    <ChartFrame
+      points={points}
+      maxValue={maxValue}
+      tooltip={(point) => (
+        <>
+          <p>Saldo: {formatCurrency(point.saldo)}</p>
+          {point.retirada > 0 && (
+            <p>Retirada: {formatCurrency(point.retirada)}</p>
+          )}
+        </>
+      )}
+    >
+      {({ x, y, top, bottom }) => (
+        <>
+          <motion.path
+            d={`M ${x(points[0].mes)},${y(0)} L ${points
+              .map((point) => `${x(point.mes)},${y(point.saldo)}`)
+              .join(' L ')} L ${x(points[points.length - 1].mes)},${y(0)} Z`}
+            className="fill-blue-300"
+            initial={{ scaleY: 0 }}
+            animate={{ scaleY: 1 }}
+            transition={{ duration: 0.8, ease: 'easeOut' }}
+            style={{ originY: 1 }}
+          />
+          <line
+            x1={x(inicioRetirada)}
+            x2={x(inicioRetirada)}
+            y1={top}
+            y2={bottom}
+            className="stroke-blue-500"
+            strokeWidth={2}
+          />
+          <text
+            x={x(inicioRetirada) + 4}
+            y={top + 10}
+            className="fill-blue-500 text-[10px]"
+          >
+            Início das retiradas
+          </text>
+        </>
+      )}
+    </ChartFrame>
+  )
+}
@@ -0,0 +1,50 @@
+import {
+  formatCurrency,
+  formatPoints,
+  formatSignedCurrency
+} from '../lib/format'
+
+// Quanto o produto simulado rende a mais (ou a menos) que a poupança e o CDI
+export function BenchmarkTable({ referencias }) {
+  const cor = (value) =>
+    value === null || value === 0
+      ? ''
+      : value > 0
+        ? 'text-blue-500'
+        : 'text-red-500'
+
+  return (
+    <div className="w-full overflow-x-auto">
+      <table className="w-full text-sm text-right text-neutral-600">
+        <thead>
+          <tr className="border-b-2 border-blue-300 text-blue-500">
+            <th className="p-2 text-left">Comparado com</th>
+            <th className="p-2">Montante líquido</th>
+            <th className="p-2">Diferença</th>
+            <th className="p-2">Rentabilidade real</th>
+          </tr>
+        </thead>
+        <tbody>
+          {referencias.map((referencia) => (
+            <tr key={referencia.id} className="border-b border-blue-100">
+              <td className="p-2 text-left">{referencia.label}</td>
+              <td className="p-2">
+                {formatCurrency(referencia.montanteLiquido)}
+              </td>
+              <td className={`p-2 font-semibold ${cor(referencia.diferenca)}`}>
+                {formatSignedCurrency(referencia.diferenca)}
+              </td>
+              <td
+                className={`p-2 font-semibold ${cor(referencia.diferencaPP)}`}
+              >
+                {referencia.diferencaPP === null
+                  ? '-'
+                  : `${formatPoints(referencia.diferencaPP)} a.a.`}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
@@ -1,4 +1,11 @@
-export function Button({ outline, small, label, buttonAction, type }) {
+export function Button({
+  outline,
+  small,
+  label,
+  buttonAction,
+  type,
+  disabled
+}) {
   if (type === 'back') {
     return (
       <div
@@ -34,7 +41,7 @@ export function Button({ outline, small, label, buttonAction, type }) {
     <button
       onClick={buttonAction}
       type={type}
-      // disabled={disabled}
+      disabled={disabled}
       className={`
         relative
         disabled:opacity-70
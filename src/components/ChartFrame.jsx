@@ -0,0 +1,121 @@
+import { useRef, useState } from 'react'
+import { formatMonth } from '../lib/format'
+import { formatAxis } from '../lib/chart'
+
+const WIDTH = 600
+const HEIGHT = 240
+const PADDING = { top: 10, right: 10, bottom: 24, left: 70 }
+
+// Moldura comum dos gráficos: grade com os valores, meses nas pontas, linha e
+// tooltip do ponto sob o mouse. Os pontos ficam no eixo X pelo mês, já que a
+// amostragem pula meses. `children` recebe as escalas e desenha as séries;
+// `tooltip` recebe o ponto sob o mouse.
+export function ChartFrame({ points, maxValue, tooltip, children }) {
+  const svgRef = useRef(null)
+  const [hoverIndex, setHoverIndex] = useState(null)
+
+  const innerWidth = WIDTH - PADDING.left - PADDING.right
+  const innerHeight = HEIGHT - PADDING.top - PADDING.bottom
+  const primeiroMes = points[0].mes
+  const ultimoMes = points[points.length - 1].mes
+  const topo = Math.max(maxValue, 1)
+
+  const x = (mes) =>
+    PADDING.left +
+    (innerWidth * (mes - primeiroMes)) / Math.max(ultimoMes - primeiroMes, 1)
+  const y = (value) => PADDING.top + innerHeight * (1 - value / topo)
+  const escala = { x, y, top: PADDING.top, bottom: PADDING.top + innerHeight }
+
+  const ticks = [0, 0.25, 0.5, 0.75, 1].map((ratio) => topo * ratio)
+
+  const handleMouseMove = (event) => {
+    const rect = svgRef.current.getBoundingClientRect()
+    const relativeX = ((event.clientX - rect.left) / rect.width) * WIDTH
+    const mes =
+      primeiroMes +
+      ((relativeX - PADDING.left) / innerWidth) * (ultimoMes - primeiroMes)
+    const index = points.reduce(
+      (melhor, point, i) =>
+        Math.abs(point.mes - mes) < Math.abs(points[melhor].mes - mes)
+          ? i
+          : melhor,
+      0
+    )
+    setHoverIndex(index)
+  }
+
+  const hovered = hoverIndex === null ? null : points[hoverIndex]
+
+  return (
+    <div className="w-full relative">
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="w-full h-auto"
+        onMouseMove={handleMouseMove}
+        onMouseLeave={() => setHoverIndex(null)}
+      >
+        {ticks.map((tick) => (
+          <g key={tick}>
+            <line
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={y(tick)}
+              y2={y(tick)}
+              className="stroke-blue-100"
+            />
+            <text
+              x={PADDING.left - 6}
+              y={y(tick)}
+              textAnchor="end"
+              dominantBaseline="middle"
+              className="fill-neutral-500 text-[10px]"
+            >
+              {formatAxis(tick)}
+            </text>
+          </g>
+        ))}
+        {children(escala)}
+        <text
+          x={PADDING.left}
+          y={HEIGHT - 6}
+          className="fill-neutral-500 text-[10px]"
+        >
+          {formatMonth(points[0].data)}
+        </text>
+        <text
+          x={WIDTH - PADDING.right}
+          y={HEIGHT - 6}
+          textAnchor="end"
+          className="fill-neutral-500 text-[10px]"
+        >
+          {formatMonth(points[points.length - 1].data)}
+        </text>
+        {hovered && (
+          <line
+            x1={x(hovered.mes)}
+            x2={x(hovered.mes)}
+            y1={escala.top}
+            y2={escala.bottom}
+            className="stroke-neutral-600"
+            strokeDasharray="4 4"
+          />
+        )}
+      </svg>
+      {hovered && (
+        <div
+          className="absolute top-0 pointer-events-none bg-white border-2 border-blue-300 rounded-md p-2 text-xs text-neutral-600 shadow"
+          style={{
+            left: `${(x(hovered.mes) / WIDTH) * 100}%`,
+            transform: `translateX(${x(hovered.mes) > WIDTH / 2 ? '-105%' : '5%'})`
+          }}
+        >
+          <p className="font-semibold text-blue-500">
+            {formatMonth(hovered.data)}
+          </p>
+          {tooltip(hovered)}
+        </div>
+      )}
+    </div>
+  )
+}
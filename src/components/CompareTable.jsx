@@ -0,0 +1,88 @@
+import { formatCurrency, formatPercent, formatProduct } from '../lib/format'
+
+// `titulos` troca o "Produto N" do cabeçalho; sem `empates` a linha de taxa
+// para empatar não aparece (ex.: simulações do histórico com aportes diferentes)
+export function CompareTable({ comparacao, titulos }) {
+  const { produtos, resultados, vencedor, empates } = comparacao
+
+  const cell = (index) =>
+    `p-2 ${index === vencedor ? 'bg-blue-50 font-semibold text-blue-500' : ''}`
+
+  const rows = [
+    { label: 'Montante bruto', value: (r) => formatCurrency(r.montanteBruto) },
+    {
+      label: 'Custos pagos',
+      value: (r) => formatCurrency(r.totalCustos),
+      optional: 'totalCustos'
+    },
+    { label: 'IOF', value: (r) => formatCurrency(r.iof), optional: 'iof' },
+    { label: 'Imposto de renda', value: (r) => formatCurrency(r.imposto) },
+    {
+      label: 'Come-cotas (incluso no IR)',
+      value: (r) => formatCurrency(r.comeCotas),
+      optional: 'comeCotas'
+    },
+    {
+      label: 'Montante líquido',
+      value: (r) => formatCurrency(r.montanteLiquido)
+    },
+    {
+      label: 'Em reais de hoje',
+      value: (r) => formatCurrency(r.montanteReal),
+      optional: 'montanteReal'
+    },
+    {
+      label: 'Rentabilidade real a.a.',
+      value: (r) =>
+        r.rentabilidadeReal === null ? '-' : formatPercent(r.rentabilidadeReal),
+      optional: 'rentabilidadeReal'
+    }
+  ].filter((row) => !row.optional || resultados.some((r) => r[row.optional]))
+
+  return (
+    <div className="w-full overflow-x-auto">
+      <table className="w-full text-sm text-right text-neutral-600">
+        <thead>
+          <tr className="border-b-2 border-blue-300 text-blue-500">
+            <th className="p-2 text-left" />
+            {produtos.map((produto, index) => (
+              <th key={index} className={cell(index)}>
+                <div>{titulos?.[index] ?? `Produto ${index + 1}`}</div>
+                <div className="font-normal">{formatProduct(produto)}</div>
+                {index === vencedor && (
+                  <div className="text-xs uppercase">Melhor opção</div>
+                )}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr key={row.label} className="border-b border-blue-100">
+              <td className="p-2 text-left">{row.label}</td>
+              {resultados.map((resultado, index) => (
+                <td key={index} className={cell(index)}>
+                  {row.value(resultado)}
+                </td>
+              ))}
+            </tr>
+          ))}
+          {empates && (
+            <tr>
+              <td className="p-2 text-left">Taxa para empatar</td>
+              {produtos.map((produto, index) => (
+                <td key={index} className={cell(index)}>
+                  {index === vencedor || produto.tipoDeTaxa === 'poupanca'
+                    ? '-'
+                    : empates[index] === null
+                      ? 'Não alcança'
+                      : formatProduct({ ...produto, taxa: empates[index] })}
+                </td>
+              ))}
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  )
+}
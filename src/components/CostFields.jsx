@@ -0,0 +1,86 @@
+import { useFieldArray } from 'react-hook-form'
+import { Input } from './Input'
+import { InputSelect } from './InputSelect'
+
+const VALOR_LABELS = {
+  saldo: 'Taxa % a.a. sobre o saldo',
+  performance: 'Performance % sobre o excedente',
+  fixo: 'Valor por mês'
+}
+
+// Custos de um produto (administração, custódia, performance, tarifa fixa)
+export function CostFields({
+  prefix = '',
+  control,
+  register,
+  watch,
+  setValue,
+  errors = []
+}) {
+  const name = `${prefix}custos`
+  const { fields, append, remove } = useFieldArray({ control, name })
+
+  return (
+    <div className="px-3 sm:px-4 flex flex-col gap-2">
+      {fields.map((custo, index) => {
+        const field = (campo) => `${name}.${index}.${campo}`
+        const tipo = watch(field('tipo'))
+
+        return (
+          <div
+            key={custo.id}
+            className="flex flex-col md:flex-row gap-2 w-full items-center"
+          >
+            <InputSelect
+              options={[
+                { label: 'Administração/custódia', value: 'saldo' },
+                { label: 'Performance', value: 'performance' },
+                { label: 'Tarifa fixa', value: 'fixo' }
+              ]}
+              onChange={(e) => {
+                setValue(field('tipo'), e)
+                setValue(field('valor'), '')
+              }}
+              value={tipo}
+              error={errors[index]?.tipo}
+              label="Custo"
+            />
+            <Input
+              id={field('valor')}
+              label={VALOR_LABELS[tipo]}
+              required
+              register={register}
+              error={errors[index]?.valor}
+            />
+            {tipo === 'performance' && (
+              <InputSelect
+                options={[
+                  { label: 'acima do CDI', value: 'cdi' },
+                  { label: 'acima do IPCA', value: 'ipca' }
+                ]}
+                onChange={(e) => setValue(field('benchmark'), e)}
+                value={watch(field('benchmark'))}
+                error={errors[index]?.benchmark}
+                label="Benchmark"
+              />
+            )}
+            <button
+              type="button"
+              onClick={() => remove(index)}
+              className="text-sm text-blue-500 cursor-pointer hover:opacity-80"
+            >
+              Remover
+            </button>
+          </div>
+        )
+      })}
+      <button
+        type="button"
+        onClick={() => append({ tipo: 'saldo', valor: '', benchmark: 'cdi' })}
+        className="text-sm text-blue-500 cursor-pointer hover:opacity-80 self-start"
+      >
+        + Taxa de administração, custódia ou performance
+      </button>
+    </div>
+  )
+}
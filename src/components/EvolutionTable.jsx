@@ -0,0 +1,128 @@
+import { useMemo, useState } from 'react'
+import { groupByYear } from '../lib/simulation'
+import { formatCurrency, formatMonth, formatPercent } from '../lib/format'
+
+const ROWS_PER_PAGE = 12
+
+export function EvolutionTable({ evolucao, indiceLabel }) {
+  const [agrupamento, setAgrupamento] = useState(
+    evolucao.length > 36 ? 'ano' : 'mes'
+  )
+  const [page, setPage] = useState(0)
+
+  const rows = useMemo(
+    () => (agrupamento === 'ano' ? groupByYear(evolucao) : evolucao),
+    [agrupamento, evolucao]
+  )
+
+  const temRetiradas = evolucao.some((row) => row.retirada > 0)
+  const temComeCotas = evolucao.some((row) => row.comeCotas > 0)
+
+  const totalPages = Math.ceil(rows.length / ROWS_PER_PAGE)
+  const currentPage = Math.min(page, totalPages - 1)
+  const visibleRows = rows.slice(
+    currentPage * ROWS_PER_PAGE,
+    (currentPage + 1) * ROWS_PER_PAGE
+  )
+
+  const changeAgrupamento = (value) => {
+    setAgrupamento(value)
+    setPage(0)
+  }
+
+  return (
+    <div className="w-full flex flex-col gap-2">
+      <div className="flex gap-2 text-sm">
+        {[
+          { label: 'Mensal', value: 'mes' },
+          { label: 'Anual', value: 'ano' }
+        ].map((option) => (
+          <button
+            key={option.value}
+            type="button"
+            onClick={() => changeAgrupamento(option.value)}
+            className={`px-3 py-1 rounded-md border-2 border-blue-500 cursor-pointer transition hover:opacity-80 ${agrupamento === option.value ? 'bg-blue-500 text-white' : 'text-blue-500'}`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+      <div className="w-full overflow-x-auto">
+        <table className="w-full text-sm text-right text-neutral-600">
+          <thead className="text-blue-500">
+            <tr className="border-b-2 border-blue-300">
+              <th className="p-2 text-left">
+                {agrupamento === 'ano' ? 'Ano' : 'Mês'}
+              </th>
+              <th className="p-2">Aporte</th>
+              {temRetiradas && <th className="p-2">Retirada</th>}
+              <th className="p-2">Total investido</th>
+              <th className="p-2">Juros</th>
+              {temComeCotas && <th className="p-2">Come-cotas</th>}
+              <th className="p-2">Saldo bruto</th>
+              <th className="p-2">Taxa</th>
+              {indiceLabel && <th className="p-2">{indiceLabel} a.a.</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {visibleRows.map((row) => (
+              <tr
+                key={agrupamento === 'ano' ? row.ano : row.mes}
+                className="border-b border-blue-100"
+              >
+                <td className="p-2 text-left text-nowrap">
+                  {agrupamento === 'ano'
+                    ? row.ano
+                    : `${row.mes} (${formatMonth(row.data)})`}
+                </td>
+                <td className="p-2">{formatCurrency(row.aporte)}</td>
+                {temRetiradas && (
+                  <td className="p-2">{formatCurrency(row.retirada)}</td>
+                )}
+                <td className="p-2">{formatCurrency(row.totalInvestido)}</td>
+                <td className="p-2">{formatCurrency(row.juros)}</td>
+                {temComeCotas && (
+                  <td className="p-2">{formatCurrency(row.comeCotas)}</td>
+                )}
+                <td className="p-2">{formatCurrency(row.saldo)}</td>
+                <td className="p-2">
+                  {row.taxa === null ? '-' : formatPercent(row.taxa, 3)}
+                </td>
+                {indiceLabel && (
+                  <td className="p-2">
+                    {row.indice === null
+                      ? '-'
+                      : formatPercent(row.indice / 100)}
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {totalPages > 1 && (
+        <div className="flex justify-between items-center text-sm text-blue-500">
+          <button
+            type="button"
+            disabled={currentPage === 0}
+            onClick={() => setPage(currentPage - 1)}
+            className="px-3 py-1 cursor-pointer disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            Anterior
+          </button>
+          <span>
+            Página {currentPage + 1} de {totalPages}
+          </span>
+          <button
+            type="button"
+            disabled={currentPage === totalPages - 1}
+            onClick={() => setPage(currentPage + 1)}
+            className="px-3 py-1 cursor-pointer disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            Próxima
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,34 @@
+import { formatCurrency, formatDuration, formatMonth } from '../lib/format'
+
+export function GoalTime({ prazo }) {
+  const alvo = `${formatCurrency(prazo.alvo)}${prazo.emReaisDeHoje ? ' em reais de hoje' : ''}`
+
+  if (prazo.meses === undefined) {
+    return (
+      <div className="font-semibold text-blue-500">
+        <p>Com esses aportes a meta de {alvo} não é alcançada em 100 anos.</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="flex flex-col gap-1">
+      <p className="font-semibold text-blue-500">
+        {prazo.independencia
+          ? `Você pode viver de renda em ${formatMonth(prazo.data)}`
+          : `Você chega lá em ${formatMonth(prazo.data)}`}
+        , daqui a {formatDuration(prazo.meses)} ({prazo.meses}{' '}
+        {prazo.meses === 1 ? 'mês' : 'meses'}).
+      </p>
+      <p className="text-sm text-neutral-500">
+        {prazo.independencia ? 'Patrimônio necessário' : 'Meta'}: {alvo}
+      </p>
+      {prazo.alemDaCurva && (
+        <p className="text-sm text-neutral-500">
+          A data passa de {prazo.anoFinalCurva}, último ano com projeção
+          disponível; daí em diante repetimos as taxas de {prazo.anoFinalCurva}.
+        </p>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,63 @@
+import { useMemo } from 'react'
+import { motion } from 'framer-motion'
+import { formatCurrency } from '../lib/format'
+import { samplePoints } from '../lib/chart'
+import { ChartFrame } from './ChartFrame'
+
+export function GrowthChart({ evolucao }) {
+  const points = useMemo(() => samplePoints(evolucao), [evolucao])
+  const maxValue = Math.max(...points.map((point) => point.saldo))
+
+  return (
+    <div className="w-full">
+      <ChartFrame
+        points={points}
+        maxValue={maxValue}
+        tooltip={(point) => (
+          <>
+            <p>Investido: {formatCurrency(point.totalInvestido)}</p>
+            <p>Juros: {formatCurrency(point.saldo - point.totalInvestido)}</p>
+            <p>Total: {formatCurrency(point.saldo)}</p>
+          </>
+        )}
+      >
+        {({ x, y }) => {
+          const primeiro = points[0]
+          const ultimo = points[points.length - 1]
+          const line = (valor) =>
+            points
+              .map((point) => `${x(point.mes)},${y(valor(point))}`)
+              .join(' L ')
+
+          const investidoPath = `M ${x(primeiro.mes)},${y(0)} L ${line((point) => point.totalInvestido)} L ${x(ultimo.mes)},${y(0)} Z`
+          const jurosPath = `M ${line((point) =>
+            Math.max(point.saldo, point.totalInvestido)
+          )} L ${[...points]
+            .reverse()
+            .map((point) => `${x(point.mes)},${y(point.totalInvestido)}`)
+            .join(' L ')} Z`
+
+          return (
+            <motion.g
+              initial={{ scaleY: 0 }}
+              animate={{ scaleY: 1 }}
+              transition={{ duration: 0.8, ease: 'easeOut' }}
+              style={{ originY: 1 }}
+            >
+              <path d={investidoPath} className="fill-blue-500" />
+              <path d={jurosPath} className="fill-blue-300" />
+            </motion.g>
+          )
+        }}
+      </ChartFrame>
+      <div className="flex gap-4 text-xs text-neutral-600 justify-center">
+        <span className="flex items-center gap-1">
+          <span className="w-3 h-3 rounded-sm bg-blue-500" /> Total investido
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="w-3 h-3 rounded-sm bg-blue-300" /> Juros acumulados
+        </span>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,116 @@
+import { useState } from 'react'
+import { CompareTable } from './CompareTable'
+import { formatCurrency } from '../lib/format'
+
+const formatDateTime = (value) => {
+  return new Date(value).toLocaleString('pt-BR', {
+    dateStyle: 'short',
+    timeStyle: 'short'
+  })
+}
+
+// Simulações salvas: renomear, abrir, duplicar, excluir e comparar duas
+export function HistoryPanel({
+  historico,
+  onRename,
+  onLoad,
+  onDuplicate,
+  onDelete
+}) {
+  const [selecionados, setSelecionados] = useState([])
+
+  if (historico.length === 0) return null
+
+  // Ignora seleções que foram excluídas
+  const comparados = selecionados
+    .map((id) => historico.find((item) => item.id === id))
+    .filter(Boolean)
+
+  const toggle = (id) => {
+    setSelecionados((atual) =>
+      atual.includes(id)
+        ? atual.filter((item) => item !== id)
+        : [...atual, id].slice(-2)
+    )
+  }
+
+  const action =
+    'px-2 py-1 rounded-md border border-blue-500 text-blue-500 cursor-pointer transition hover:opacity-80'
+
+  return (
+    <div className="w-full flex flex-col gap-2">
+      <h2 className="font-semibold text-blue-500">Histórico</h2>
+      <p className="text-xs text-neutral-500">
+        Marque duas simulações para comparar.
+      </p>
+      <ul className="flex flex-col gap-2">
+        {historico.map((item) => (
+          <li
+            key={item.id}
+            className="flex flex-col sm:flex-row sm:items-center gap-2 border-b border-blue-100 pb-2 text-sm"
+          >
+            <input
+              type="checkbox"
+              checked={selecionados.includes(item.id)}
+              onChange={() => toggle(item.id)}
+              className="w-4 h-4 cursor-pointer accent-blue-500"
+              aria-label="Comparar"
+            />
+            <div className="grow flex flex-col">
+              <input
+                defaultValue={item.nome}
+                onBlur={(e) => {
+                  const nome = e.target.value.trim()
+                  if (nome && nome !== item.nome) onRename(item.id, nome)
+                }}
+                className="font-semibold text-neutral-600 bg-transparent outline-none focus:border-b focus:border-blue-300"
+                aria-label="Nome da simulação"
+              />
+              <span className="text-xs text-neutral-500">
+                {formatDateTime(item.criadoEm)} ·{' '}
+                {formatCurrency(item.resultado.montanteLiquido)} líquido
+              </span>
+            </div>
+            <div className="flex gap-1">
+              <button
+                type="button"
+                className={action}
+                onClick={() => onLoad(item)}
+              >
+                Abrir
+              </button>
+              <button
+                type="button"
+                className={action}
+                onClick={() => onDuplicate(item.id)}
+              >
+                Duplicar
+              </button>
+              <button
+                type="button"
+                className={action}
+                onClick={() => onDelete(item.id)}
+              >
+                Excluir
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+      {comparados.length === 2 && (
+        <CompareTable
+          titulos={comparados.map((item) => item.nome)}
+          comparacao={{
+            produtos: comparados.map((item) => item.resultado.entradas),
+            resultados: comparados.map((item) => item.resultado),
+            vencedor:
+              comparados[1].resultado.montanteLiquido >
+              comparados[0].resultado.montanteLiquido
+                ? 1
+                : 0
+          }}
+        />
+      )}
+    </div>
+  )
+}
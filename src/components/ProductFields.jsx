@@ -0,0 +1,156 @@
+import { Input } from './Input'
+import { InputSelect } from './InputSelect'
+import { isCDI } from '../lib/simulation'
+import { PRODUTOS, PRODUTO_PERSONALIZADO } from '../lib/presets'
+
+export const TIPO_DE_TAXA_OPTIONS = [
+  { label: 'Prefixado', value: 'prefixado' },
+  { label: 'ipca+', value: 'ipca+' },
+  { label: '% do CDI', value: '%CDI' },
+  { label: 'CDI + taxa', value: 'CDI+' },
+  { label: 'Poupança', value: 'poupanca' }
+]
+
+const PRODUTO_OPTIONS = [
+  ...Object.entries(PRODUTOS).map(([value, { label }]) => ({ label, value })),
+  { label: 'Personalizado', value: PRODUTO_PERSONALIZADO }
+]
+
+const TAXA_LABELS = {
+  prefixado: 'Taxa de juros %',
+  'ipca+': 'Taxa acima do IPCA %',
+  '%CDI': 'Percentual do CDI %',
+  'CDI+': 'Taxa acima do CDI %'
+}
+
+// Campos de um produto (produto pronto, tipo de taxa, imposto, taxa e
+// vencimento). `prefix` permite reaproveitar para os produtos extras da
+// comparação; `children` é renderizado ao lado da taxa.
+export function ProductFields({
+  prefix = '',
+  register,
+  watch,
+  setValue,
+  errors = {},
+  children
+}) {
+  const field = (name) => `${prefix}${name}`
+  const tipoDeTaxa = watch(field('tipoDeTaxa'))
+  const poupanca = tipoDeTaxa === 'poupanca'
+
+  // O produto pronto só preenche os campos; dá para mudar cada um depois. A
+  // taxa de outro produto não fica para trás: sem taxa típica, ela é limpa.
+  const choosePreset = (produto) => {
+    setValue(field('produto'), produto)
+    const preset = PRODUTOS[produto]
+    if (!preset) return
+
+    for (const [campo, valor] of Object.entries({
+      taxa: '',
+      ...preset.valores
+    })) {
+      setValue(
+        field(campo),
+        Array.isArray(valor) ? valor.map((item) => ({ ...item })) : valor
+      )
+    }
+  }
+
+  // Mudar o tipo, o imposto ou a capitalização deixa de ser o produto pronto;
+  // a taxa e os custos podem mudar sem isso
+  const setRawField = (campo, valor) => {
+    setValue(field(campo), valor)
+    setValue(field('produto'), PRODUTO_PERSONALIZADO)
+  }
+
+  return (
+    <>
+      <div className="p-3 sm:p-4 flex flex-col md:flex-row gap-2 w-full h-full">
+        <InputSelect
+          options={PRODUTO_OPTIONS}
+          onChange={choosePreset}
+          value={watch(field('produto'))}
+          error={errors.produto}
+          label="Produto"
+        />
+        <InputSelect
+          options={TIPO_DE_TAXA_OPTIONS}
+          onChange={(e) => setRawField('tipoDeTaxa', e)}
+          value={tipoDeTaxa}
+          error={errors.tipoDeTaxa}
+          label="Tipo de taxa"
+        />
+        {!poupanca && (
+          <InputSelect
+            options={[
+              { label: 'Isento', value: 'sim' },
+              { label: 'Não isento', value: 'não' }
+            ]}
+            onChange={(e) => setRawField('isentoDeImposto', e)}
+            value={watch(field('isentoDeImposto'))}
+            error={errors.isentoDeImposto}
+            label="Imposto de Renda"
+          />
+        )}
+        {!poupanca && watch(field('isentoDeImposto')) === 'não' && (
+          <InputSelect
+            options={[
+              { label: 'Não é fundo', value: 'não' },
+              { label: 'Fundo de longo prazo (15%)', value: 'longo' },
+              { label: 'Fundo de curto prazo (20%)', value: 'curto' }
+            ]}
+            onChange={(e) => setRawField('fundo', e)}
+            value={watch(field('fundo'))}
+            error={errors.fundo}
+            label="Come-cotas"
+          />
+        )}
+      </div>
+      <div className="p-3 sm:p-4 flex flex-col md:flex-row gap-2 w-full h-full">
+        {/* A poupança segue a regra oficial, sem taxa */}
+        {!poupanca && (
+          <div className="w-full flex gap-1">
+            <Input
+              id={field('taxa')}
+              label={TAXA_LABELS[tipoDeTaxa]}
+              required
+              register={register}
+              error={errors.taxa}
+            />
+            {/* O percentual do CDI não tem período, só o spread */}
+            {tipoDeTaxa !== '%CDI' && (
+              <div className="min-w-36 w-[20%]">
+                <InputSelect
+                  options={[
+                    { label: 'mensal', value: 'meses' },
+                    { label: 'anual', value: 'ano' }
+                  ]}
+                  onChange={(e) => setRawField('vencimento', e)}
+                  value={watch(field('vencimento'))}
+                  error={errors.vencimento}
+                  label=""
+                />
+              </div>
+            )}
+          </div>
+        )}
+
+        {children}
+      </div>
+      {(tipoDeTaxa === 'prefixado' || isCDI(tipoDeTaxa)) && (
+        <div className="px-3 sm:px-4 pb-3 sm:pb-4 flex flex-col md:flex-row gap-2 w-full">
+          <InputSelect
+            options={[
+              { label: 'Mensal (taxa equivalente)', value: 'mensal' },
+              { label: 'Diária (252 dias úteis)', value: 'diaria' }
+            ]}
+            onChange={(e) => setRawField('capitalizacao', e)}
+            value={watch(field('capitalizacao'))}
+            error={errors.capitalizacao}
+            label="Capitalização"
+          />
+        </div>
+      )}
+    </>
+  )
+}
@@ -0,0 +1,57 @@
+import { Input } from './Input'
+import { InputSelect } from './InputSelect'
+
+// Fase de retirada depois da acumulação
+export function RetirementFields({ register, watch, setValue, errors }) {
+  const ativa = watch('faseRetirada') === 'sim'
+
+  return (
+    <div className="border-t-2 border-blue-100">
+      <div className="p-3 sm:p-4 flex flex-col md:flex-row gap-2 w-full h-full">
+        <InputSelect
+          options={[
+            { label: 'Só acumulação', value: 'não' },
+            { label: 'Viver de renda depois', value: 'sim' }
+          ]}
+          onChange={(e) => setValue('faseRetirada', e)}
+          value={watch('faseRetirada')}
+          error={errors.faseRetirada}
+          label="Fase de retirada"
+        />
+        {ativa && (
+          <InputSelect
+            options={[
+              { label: 'Valor fixo', value: 'fixa' },
+              { label: 'Corrigida pelo IPCA', value: 'ipca' }
+            ]}
+            onChange={(e) => setValue('rendaIndexada', e)}
+            value={watch('rendaIndexada')}
+            error={errors.rendaIndexada}
+            label="Retirada mensal"
+          />
+        )}
+      </div>
+      {ativa && (
+        <div className="p-3 sm:p-4 flex flex-col md:flex-row gap-2 w-full h-full">
+          <Input
+            id="rendaRetirada"
+            label={
+              watch('rendaIndexada') === 'ipca'
+                ? 'Retirada mensal (em reais de hoje)'
+                : 'Retirada mensal'
+            }
+            required
+            register={register}
+            error={errors.rendaRetirada}
+          />
+          <Input
+            id="anosRetirada"
+            label="Por quantos anos (vazio = até acabar)"
+            register={register}
+            error={errors.anosRetirada}
+          />
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,57 @@
+import { BalanceChart } from './BalanceChart'
+import { formatCurrency, formatDuration, formatMonth } from '../lib/format'
+
+// Resumo da fase de retirada e a curva de saldo das duas fases
+export function RetirementPhase({ decumulacao, evolucao }) {
+  const {
+    renda,
+    indexada,
+    mesesPlanejados,
+    meses,
+    esgotado,
+    dataFim,
+    totalRetirado,
+    rendaLiquida,
+    imposto,
+    iof,
+    custos,
+    comeCotas,
+    saldoFinalLiquido
+  } = decumulacao
+
+  let duracao
+  if (esgotado) {
+    duracao = `O dinheiro dura ${formatDuration(meses)}, até ${formatMonth(dataFim)}.`
+  } else if (mesesPlanejados === null) {
+    duracao = `O dinheiro não acaba em ${formatDuration(meses)}; sobram ${formatCurrency(saldoFinalLiquido)} líquidos.`
+  } else {
+    duracao = `Depois de ${formatDuration(meses)} de retiradas ainda sobram ${formatCurrency(saldoFinalLiquido)} líquidos.`
+  }
+
+  return (
+    <div className="flex flex-col gap-2">
+      <h2 className="font-semibold text-blue-500">Fase de retirada</h2>
+      <p className="font-semibold text-blue-500">{duracao}</p>
+      <div className="text-sm text-neutral-600">
+        <p>
+          Retirada mensal: {formatCurrency(renda)}
+          {indexada && ' em reais de hoje, corrigida pelo IPCA'}
+        </p>
+        <p>Total retirado: {formatCurrency(totalRetirado)}</p>
+        <p>
+          Imposto sobre os rendimentos retirados:{' '}
+          {formatCurrency(imposto + iof)}
+        </p>
+        {comeCotas > 0 && (
+          <p>Come-cotas (incluso no imposto): {formatCurrency(comeCotas)}</p>
+        )}
+        {custos > 0 && <p>Custos pagos: {formatCurrency(custos)}</p>}
+        <p>Total recebido líquido: {formatCurrency(rendaLiquida)}</p>
+      </div>
+      <BalanceChart
+        evolucao={[...evolucao, ...decumulacao.evolucao]}
+        inicioRetirada={evolucao[evolucao.length - 1].mes}
+      />
+    </div>
+  )
+}
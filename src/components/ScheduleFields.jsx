@@ -0,0 +1,108 @@
+import { useFieldArray } from 'react-hook-form'
+import { Input } from './Input'
+import { InputSelect } from './InputSelect'
+
+// Cronograma de aportes: reajuste anual, 13º e movimentações avulsas
+export function ScheduleFields({ control, register, watch, setValue, errors }) {
+  const { fields, append, remove } = useFieldArray({
+    control,
+    name: 'movimentacoes'
+  })
+
+  return (
+    <div className="border-t-2 border-blue-100">
+      <div className="px-3 sm:px-4 pt-3 font-semibold text-blue-500">
+        Cronograma de aportes
+      </div>
+      <div className="p-3 sm:p-4 flex flex-col md:flex-row gap-2 w-full h-full">
+        <InputSelect
+          options={[
+            { label: 'Sem reajuste', value: 'nenhum' },
+            { label: 'Percentual fixo', value: 'fixo' },
+            { label: 'Pelo IPCA', value: 'ipca' }
+          ]}
+          onChange={(e) => setValue('reajusteTipo', e)}
+          value={watch('reajusteTipo')}
+          error={errors.reajusteTipo}
+          label="Reajuste anual do aporte"
+        />
+        {watch('reajusteTipo') === 'fixo' && (
+          <Input
+            id="reajustePercentual"
+            label="Reajuste % a.a."
+            required
+            register={register}
+            error={errors.reajustePercentual}
+          />
+        )}
+      </div>
+      <div className="p-3 sm:p-4 flex flex-col md:flex-row gap-2 w-full h-full">
+        <InputSelect
+          options={[
+            { label: 'Sem 13º', value: 'não' },
+            { label: 'Aporte extra em dezembro', value: 'sim' }
+          ]}
+          onChange={(e) => setValue('decimoTerceiro', e)}
+          value={watch('decimoTerceiro')}
+          error={errors.decimoTerceiro}
+          label="13º salário"
+        />
+        {watch('decimoTerceiro') === 'sim' && (
+          <Input
+            id="decimoTerceiroValor"
+            label="Valor do 13º (vazio = aporte mensal)"
+            register={register}
+            error={errors.decimoTerceiroValor}
+          />
+        )}
+      </div>
+      {fields.map((movimentacao, index) => (
+        <div
+          key={movimentacao.id}
+          className="p-3 sm:p-4 flex flex-col md:flex-row gap-2 w-full h-full items-center"
+        >
+          <InputSelect
+            options={[
+              { label: 'Depósito', value: 'deposito' },
+              { label: 'Retirada', value: 'retirada' }
+            ]}
+            onChange={(e) => setValue(`movimentacoes.${index}.tipo`, e)}
+            value={watch(`movimentacoes.${index}.tipo`)}
+            error={errors.movimentacoes?.[index]?.tipo}
+            label="Movimentação"
+          />
+          <Input
+            id={`movimentacoes.${index}.mes`}
+            label="No mês"
+            required
+            register={register}
+            error={errors.movimentacoes?.[index]?.mes}
+          />
+          <Input
+            id={`movimentacoes.${index}.valor`}
+            label="Valor"
+            required
+            register={register}
+            error={errors.movimentacoes?.[index]?.valor}
+          />
+          <button
+            type="button"
+            onClick={() => remove(index)}
+            className="text-sm text-blue-500 cursor-pointer hover:opacity-80"
+          >
+            Remover
+          </button>
+        </div>
+      ))}
+      <div className="px-3 sm:px-4">
+        <button
+          type="button"
+          onClick={() => append({ tipo: 'retirada', mes: '', valor: '' })}
+          className="text-sm text-blue-500 cursor-pointer hover:opacity-80"
+        >
+          + Depósito ou retirada avulsa
+        </button>
+      </div>
+    </div>
+  )
+}
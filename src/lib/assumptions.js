@@ -0,0 +1,55 @@
+// Texto das premissas de mercado, usado na tela e na exportação
+
+import { FONTES_CDI, ORIGENS } from './marketData.js'
+import { formatPercent } from './format.js'
+
+export const formatDate = (value) => {
+  // 'aaaa-mm-dd' vira data local para não voltar um dia pelo fuso
+  const date =
+    typeof value === 'string' ? new Date(`${value}T00:00:00`) : new Date(value)
+  return date.toLocaleDateString('pt-BR')
+}
+
+const vintage = (label, dados) => {
+  if (dados.origem === 'manual') return `${label}: ${ORIGENS.manual}`
+
+  const detalhes = [
+    ORIGENS[dados.origem],
+    dados.origem === 'cache' && `salvo em ${formatDate(dados.salvoEm)}`,
+    dados.desatualizado && 'BCB indisponível'
+  ].filter(Boolean)
+
+  return `${label}: Focus de ${formatDate(dados.dataFocus)} (${detalhes.join(', ')})`
+}
+
+/**
+ * @param {{ ipca?: object, cdi?: object, tr?: number }} premissas Metadados
+ *   das curvas usadas no cálculo (origem, data do Focus, fonte do CDI...) e a
+ *   TR considerada na poupança
+ * @returns {string[]} Uma linha por premissa
+ */
+export function assumptionLines(premissas) {
+  const { ipca, cdi, tr } = premissas ?? {}
+  const linhas = []
+
+  if (ipca) linhas.push(vintage('IPCA', ipca))
+  if (tr !== undefined) {
+    linhas.push(
+      `TR da poupança: ${formatPercent(tr / 100)} a.a. (sem projeção na Focus)`
+    )
+  }
+  if (!cdi) return linhas
+
+  linhas.push(vintage(cdi.origem === 'manual' ? 'CDI' : 'Selic', cdi))
+  if (cdi.origem === 'manual') return linhas
+
+  linhas.push(`CDI: ${FONTES_CDI[cdi.fonte]}`)
+  linhas.push(`Spread Selic/CDI: ${formatPercent(cdi.spread / 100)} a.a.`)
+  if (cdi.cdiAtual) {
+    linhas.push(
+      `CDI atual: ${formatPercent(cdi.cdiAtual.valor / 100)} a.a. em ${formatDate(cdi.cdiAtual.data)}`
+    )
+  }
+
+  return linhas
+}
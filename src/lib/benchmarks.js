@@ -0,0 +1,57 @@
+// Referências mostradas ao lado de toda simulação: poupança e 100% do CDI
+
+import { simulate } from './simulation.js'
+
+export const REFERENCIAS = {
+  poupanca: {
+    label: 'Poupança',
+    produto: { tipoDeTaxa: 'poupanca', taxa: 0, isento: true }
+  },
+  cdi: {
+    label: '100% do CDI',
+    produto: { tipoDeTaxa: '%CDI', taxa: 100, isento: false }
+  }
+}
+
+/**
+ * Roda os mesmos aportes, cronograma e prazo nas referências, com as mesmas
+ * curvas e a capitalização do produto simulado, e compara com o resultado
+ * dele.
+ *
+ * @param {object} base Parâmetros comuns de `simulate`; `curvas` precisa ter
+ *   `cdi` e `selic`
+ * @param {{ montanteLiquido: number, rentabilidadeReal: number | null, entradas?: { capitalizacao?: string } }} resultado
+ * @returns {Array<{
+ *   id: string,
+ *   label: string,
+ *   montanteLiquido: number,
+ *   rentabilidadeReal: number | null,
+ *   diferenca: number,
+ *   diferencaPP: number | null
+ * }>} `diferenca` é o quanto o produto rende a mais, em reais, e
+ *   `diferencaPP` a diferença de rentabilidade real anual, em pontos
+ *   percentuais (`null` se faltar alguma das duas)
+ */
+export function benchmarkResults(base, resultado) {
+  return Object.entries(REFERENCIAS).map(([id, { label, produto }]) => {
+    const referencia = simulate({
+      ...base,
+      capitalizacao: resultado.entradas?.capitalizacao,
+      ...produto
+    })
+    const comRentabilidade =
+      resultado.rentabilidadeReal !== null &&
+      referencia.rentabilidadeReal !== null
+
+    return {
+      id,
+      label,
+      montanteLiquido: referencia.montanteLiquido,
+      rentabilidadeReal: referencia.rentabilidadeReal,
+      diferenca: resultado.montanteLiquido - referencia.montanteLiquido,
+      diferencaPP: comRentabilidade
+        ? (resultado.rentabilidadeReal - referencia.rentabilidadeReal) * 100
+        : null
+    }
+  })
+}
@@ -0,0 +1,31 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { benchmarkResults } from './benchmarks.js'
+import { simulate } from './simulation.js'
+
+test('o 100% do CDI usa a capitalização do produto simulado', () => {
+  const base = {
+    aporteInicial: 1000,
+    aporteMensal: 100,
+    meses: 24,
+    curvas: { ipca: { 2026: 4 }, cdi: { 2026: 10 }, selic: { 2026: 10 } },
+    dataInicial: new Date(2026, 0, 10)
+  }
+  const cdi = (capitalizacao) =>
+    simulate({
+      ...base,
+      tipoDeTaxa: '%CDI',
+      taxa: 100,
+      isento: false,
+      capitalizacao
+    }).montanteLiquido
+  const referencia = (capitalizacao) =>
+    benchmarkResults(base, {
+      montanteLiquido: 0,
+      rentabilidadeReal: null,
+      entradas: { capitalizacao }
+    }).find((item) => item.id === 'cdi').montanteLiquido
+
+  assert.equal(referencia('mensal'), cdi('mensal'))
+  assert.equal(referencia('diaria'), cdi('diaria'))
+})
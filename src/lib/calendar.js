@@ -0,0 +1,95 @@
+// Utilitários de datas usados pelo motor e pelas curvas de mercado
+
+// Chave 'aaaa-mm' usada nas curvas com granularidade mensal
+export const monthKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`
+
+// Dias do mês; o mês pode passar de 11 (vira o ano seguinte)
+const daysInMonth = (ano, mes) => new Date(ano, mes + 1, 0).getDate()
+
+// Sem transbordar: 31/01 + 1 mês é 28/02 (ou 29), não 03/03
+export const addMonths = (date, meses) => {
+  const ano = date.getFullYear()
+  const mes = date.getMonth() + meses
+  const result = new Date(date)
+  result.setFullYear(ano, mes, Math.min(date.getDate(), daysInMonth(ano, mes)))
+  return result
+}
+
+// Domingo de Páscoa (algoritmo de Meeus/Jones/Butcher)
+const easter = (ano) => {
+  const a = ano % 19
+  const b = Math.floor(ano / 100)
+  const c = ano % 100
+  const d = Math.floor(b / 4)
+  const e = b % 4
+  const f = Math.floor((b + 8) / 25)
+  const g = Math.floor((b - f + 1) / 3)
+  const h = (19 * a + b - d - g + 15) % 30
+  const i = Math.floor(c / 4)
+  const k = c % 4
+  const l = (32 + 2 * e + 2 * i - h - k) % 7
+  const m = Math.floor((a + 11 * h + 22 * l) / 451)
+  const mes = Math.floor((h + l - 7 * m + 114) / 31)
+  const dia = ((h + l - 7 * m + 114) % 31) + 1
+  return new Date(ano, mes - 1, dia)
+}
+
+const dayKey = (date) =>
+  `${monthKey(date)}-${String(date.getDate()).padStart(2, '0')}`
+
+const addDays = (date, dias) =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate() + dias)
+
+/**
+ * Feriados nacionais do calendário da ANBIMA, o usado no CDI e nos títulos
+ * públicos: os fixos, mais Carnaval, Sexta-feira Santa e Corpus Christi, que
+ * dependem da Páscoa. A Consciência Negra (20/11) entra a partir de 2024.
+ *
+ * @param {number} ano
+ * @returns {Set<string>} Datas 'aaaa-mm-dd'
+ */
+export function anbimaHolidays(ano) {
+  const fixos = ['01-01', '04-21', '05-01', '09-07', '10-12', '11-02', '11-15']
+  if (ano >= 2024) fixos.push('11-20')
+  fixos.push('12-25')
+
+  const pascoa = easter(ano)
+  const moveis = [-48, -47, -2, 60].map((dias) => addDays(pascoa, dias))
+
+  return new Set([
+    ...fixos.map((dia) => `${ano}-${dia}`),
+    ...moveis.map(dayKey)
+  ])
+}
+
+const feriadosPorAno = new Map()
+
+export function isBusinessDay(date) {
+  const diaDaSemana = date.getDay()
+  if (diaDaSemana === 0 || diaDaSemana === 6) return false
+
+  const ano = date.getFullYear()
+  if (!feriadosPorAno.has(ano)) feriadosPorAno.set(ano, anbimaHolidays(ano))
+  return !feriadosPorAno.get(ano).has(dayKey(date))
+}
+
+const diasUteisCache = new Map()
+
+// Dias úteis de `inicio` (incluso) até `fim` (excluso), a contagem da base 252.
+// Conta dias de calendário: a hora das datas é ignorada, senão o dia de `fim`
+// entraria aqui e de novo como o primeiro do período seguinte
+export function businessDaysBetween(inicio, fim) {
+  const de = addDays(inicio, 0)
+  const ate = addDays(fim, 0)
+  const chave = `${de.getTime()}-${ate.getTime()}`
+  if (diasUteisCache.has(chave)) return diasUteisCache.get(chave)
+
+  let dias = 0
+  for (let dia = de; dia < ate; dia = addDays(dia, 1)) {
+    if (isBusinessDay(dia)) dias++
+  }
+
+  diasUteisCache.set(chave, dias)
+  return dias
+}
@@ -0,0 +1,16 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { addMonths, businessDaysBetween } from './calendar.js'
+
+test('dias úteis ignoram a hora: um ano em 12 períodos soma o mesmo', () => {
+  const inicio = new Date(2026, 0, 10, 14, 30)
+  let total = 0
+  for (let i = 1; i <= 12; i++) {
+    total += businessDaysBetween(addMonths(inicio, i - 1), addMonths(inicio, i))
+  }
+
+  assert.equal(
+    total,
+    businessDaysBetween(new Date(2026, 0, 10), new Date(2027, 0, 10))
+  )
+})
@@ -0,0 +1,24 @@
+// Utilitários dos gráficos em SVG
+
+const MAX_POINTS = 240
+
+export const formatAxis = (value) => {
+  return value.toLocaleString('pt-BR', {
+    style: 'currency',
+    currency: 'BRL',
+    notation: 'compact',
+    maximumFractionDigits: 1
+  })
+}
+
+// Reduz a quantidade de pontos em prazos longos, mantendo sempre o último mês
+export const samplePoints = (evolucao) => {
+  if (evolucao.length <= MAX_POINTS) return evolucao
+
+  const step = Math.ceil(evolucao.length / MAX_POINTS)
+  const points = evolucao.filter((_, index) => index % step === 0)
+  if (points[points.length - 1] !== evolucao[evolucao.length - 1]) {
+    points.push(evolucao[evolucao.length - 1])
+  }
+  return points
+}
@@ -0,0 +1,70 @@
+// Comparação de produtos com os mesmos aportes e prazo
+
+import { simulate } from './simulation.js'
+import { solveIncreasing } from './solver.js'
+
+/**
+ * Taxa que o produto precisaria ter para chegar ao montante líquido `alvo`,
+ * mantendo o tipo de taxa, a unidade (`vencimento`) e a tributação.
+ *
+ * @param {object} params
+ * @param {object} params.base Parâmetros comuns de `simulate` (aportes, prazo, curvas)
+ * @param {{ tipoDeTaxa: string, taxa: number, vencimento: string, isento: boolean, custos?: Array<object> }} params.produto
+ * @param {number} params.alvo Montante líquido desejado
+ * @returns {number | null} Taxa em %, ou `null` se não houver taxa que chegue
+ *   lá (ou o produto for poupança)
+ */
+export function breakEvenRate({ base, produto, alvo }) {
+  // A poupança não tem taxa para ajustar
+  if (produto.tipoDeTaxa === 'poupanca') return null
+
+  const liquido = (taxa) =>
+    simulate({ ...base, ...produto, taxa }).montanteLiquido
+
+  const taxa = solveIncreasing(liquido, alvo, {
+    max: Math.max(produto.taxa * 2, 1),
+    limite: 1000,
+    tolerancia: 1e-4
+  })
+
+  return taxa === null ? null : Math.round(taxa * 100) / 100
+}
+
+/**
+ * Simula vários produtos com os mesmos aportes, prazo e curvas.
+ *
+ * @param {object} params
+ * @param {object} params.base Parâmetros comuns de `simulate`
+ * @param {Array<{ tipoDeTaxa: string, taxa: number, vencimento: string, isento: boolean, custos?: Array<object> }>} params.produtos
+ * @returns {{
+ *   resultados: Array<object>,
+ *   vencedor: number,
+ *   empates: Array<number | null>
+ * }} `vencedor` é o índice do maior montante líquido; `empates[i]` é a taxa
+ *   com que o produto `i` empataria com o vencedor (`null` para o vencedor)
+ */
+export function compareProducts({ base, produtos }) {
+  const resultados = produtos.map((produto) =>
+    simulate({ ...base, ...produto })
+  )
+
+  const vencedor = resultados.reduce(
+    (melhor, resultado, index) =>
+      resultado.montanteLiquido > resultados[melhor].montanteLiquido
+        ? index
+        : melhor,
+    0
+  )
+
+  const empates = produtos.map((produto, index) =>
+    index === vencedor
+      ? null
+      : breakEvenRate({
+          base,
+          produto,
+          alvo: resultados[vencedor].montanteLiquido
+        })
+  )
+
+  return { resultados, vencedor, empates }
+}
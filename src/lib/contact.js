@@ -0,0 +1,75 @@
+// Validação do contato do lead e registro do consentimento (LGPD)
+
+// DDDs em uso segundo o plano de numeração da Anatel
+export const DDDS = new Set([
+  11, 12, 13, 14, 15, 16, 17, 18, 19, 21, 22, 24, 27, 28, 31, 32, 33, 34, 35,
+  37, 38, 41, 42, 43, 44, 45, 46, 47, 48, 49, 51, 53, 54, 55, 61, 62, 63, 64,
+  65, 66, 67, 68, 69, 71, 73, 74, 75, 77, 79, 81, 82, 83, 84, 85, 86, 87, 88,
+  89, 91, 92, 93, 94, 95, 96, 97, 98, 99
+])
+
+const CELULAR = /^\((\d{2})\) 9 \d{4}-\d{4}$/
+// Fixos começam de 2 a 5
+const FIXO = /^\((\d{2})\) [2-5]\d{3}-\d{4}$/
+
+/**
+ * Aceita celular `(99) 9 1111-1111` e fixo `(99) 3111-1111`, com DDD válido.
+ *
+ * @param {string} phone Já formatado por `formatPhoneNumber`
+ * @returns {boolean}
+ */
+export const validatePhoneNumber = (phone) => {
+  const match = CELULAR.exec(phone) ?? FIXO.exec(phone)
+  return match !== null && DDDS.has(Number(match[1]))
+}
+
+// Formata enquanto digita; o terceiro dígito decide se é celular ou fixo
+export const formatPhoneNumber = (phone) => {
+  phone = phone.replace(/[^\d]+/g, '')
+  const celular = phone[2] === '9'
+  if (phone.length > (celular ? 11 : 10))
+    phone = phone.slice(0, celular ? 11 : 10)
+  if (celular && phone.length > 6)
+    return `(${phone.slice(0, 2)}) ${phone.slice(2, 3)} ${phone.slice(3, 7)}-${phone.slice(7)}`
+  if (phone.length > 6)
+    return `(${phone.slice(0, 2)}) ${phone.slice(2, 6)}-${phone.slice(6)}`
+  if (phone.length > 2) return `(${phone.slice(0, 2)}) ${phone.slice(2)}`
+  return phone
+}
+
+// Texto mostrado ao lado do aceite. Qualquer mudança no texto ou nas
+// finalidades exige uma versão nova.
+export const TERMOS = {
+  versao: '2026-10-19',
+  texto:
+    'Autorizo o uso do meu nome, email e telefone para receber contato sobre esta simulação.'
+}
+
+// Finalidades que o usuário pode aceitar; `obrigatoria` é a do aceite principal
+export const FINALIDADES = [
+  {
+    id: 'contato',
+    label: 'Contato sobre esta simulação',
+    obrigatoria: true
+  },
+  {
+    id: 'novidades',
+    label: 'Receber novidades e ofertas por email e WhatsApp',
+    obrigatoria: false
+  }
+]
+
+/**
+ * Registro do consentimento enviado junto com o lead.
+ *
+ * @param {string[]} finalidades Ids das finalidades aceitas
+ * @param {Date} [agora]
+ * @returns {{ versaoTermos: string, aceitoEm: string, finalidades: string[] }}
+ */
+export function buildConsent(finalidades, agora = new Date()) {
+  return {
+    versaoTermos: TERMOS.versao,
+    aceitoEm: agora.toISOString(),
+    finalidades
+  }
+}
@@ -0,0 +1,59 @@
+// Custos do investimento: taxa de administração/custódia, performance e
+// tarifa fixa
+
+import { formatCurrency, formatRate } from './format.js'
+
+export const TIPOS_DE_CUSTO = ['saldo', 'performance', 'fixo']
+
+export const BENCHMARKS = { cdi: 'CDI', ipca: 'IPCA' }
+
+/**
+ * Custo do mês, em reais, descontado do saldo antes do aporte.
+ *
+ * Regras aceitas:
+ * - `{ tipo: 'saldo', percentual }`: % ao ano sobre o saldo (administração,
+ *   custódia da B3), cobrado por mês
+ * - `{ tipo: 'performance', percentual, benchmark }`: % do rendimento do mês
+ *   que passar do benchmark ('cdi' ou 'ipca'), depois dos custos sobre saldo.
+ *   Simplificação: é apurada mês a mês, sem linha d'água
+ * - `{ tipo: 'fixo', valor }`: valor fixo por mês
+ *
+ * @param {Array<object>} custos
+ * @param {object} mes
+ * @param {number} mes.saldo Saldo no início do mês
+ * @param {number} mes.juros Rendimento bruto do mês
+ * @param {(benchmark: string) => number} mes.benchmarkMensal Taxa do
+ *   benchmark no mês, em decimal
+ * @returns {number} Nunca passa do saldo com o rendimento
+ */
+export function monthlyCosts(custos, { saldo, juros, benchmarkMensal }) {
+  const disponivel = saldo + juros
+  let total = 0
+
+  for (const custo of custos) {
+    if (custo.tipo === 'saldo') {
+      total += (disponivel * custo.percentual) / 12 / 100
+    } else if (custo.tipo === 'fixo') {
+      total += custo.valor
+    }
+  }
+
+  for (const custo of custos) {
+    if (custo.tipo !== 'performance') continue
+    const excedente = juros - total - saldo * benchmarkMensal(custo.benchmark)
+    if (excedente > 0) total += (excedente * custo.percentual) / 100
+  }
+
+  return Math.min(total, Math.max(disponivel, 0))
+}
+
+// Descrição dos custos para relatórios
+export function describeCosts(custos) {
+  return custos.map((custo) => {
+    if (custo.tipo === 'saldo') {
+      return `${formatRate(custo.percentual)} a.a. sobre o saldo`
+    }
+    if (custo.tipo === 'fixo') return `${formatCurrency(custo.valor)} por mês`
+    return `${formatRate(custo.percentual)} do que passar do ${BENCHMARKS[custo.benchmark]}`
+  })
+}
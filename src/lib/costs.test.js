@@ -0,0 +1,51 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { monthlyCosts } from './costs.js'
+import { simulate } from './simulation.js'
+
+const mes = { saldo: 1000, juros: 20, benchmarkMensal: () => 0.01 }
+
+test('taxa sobre o saldo, tarifa fixa e performance acima do benchmark', () => {
+  assert.ok(
+    Math.abs(
+      monthlyCosts([{ tipo: 'saldo', percentual: 1.2 }], mes) - 1020 * 0.001
+    ) < 1e-9
+  )
+  assert.equal(monthlyCosts([{ tipo: 'fixo', valor: 5 }], mes), 5)
+
+  // A performance é sobre o que passa do benchmark depois da taxa sobre saldo
+  const custo = monthlyCosts(
+    [
+      { tipo: 'saldo', percentual: 1.2 },
+      { tipo: 'performance', percentual: 20, benchmark: 'cdi' }
+    ],
+    mes
+  )
+  assert.ok(Math.abs(custo - (1.02 + (20 - 1.02 - 10) * 0.2)) < 1e-9)
+})
+
+test('o custo nunca passa do saldo com o rendimento', () => {
+  assert.equal(monthlyCosts([{ tipo: 'fixo', valor: 5000 }], mes), 1020)
+})
+
+test('os custos saem do montante e da base do IR', () => {
+  const params = {
+    aporteInicial: 10000,
+    aporteMensal: 0,
+    taxa: 10,
+    tipoDeTaxa: 'prefixado',
+    isento: false,
+    meses: 24,
+    curvas: { ipca: { 2026: 4 } },
+    dataInicial: new Date(2026, 0, 10)
+  }
+  const semCusto = simulate(params)
+  const comCusto = simulate({
+    ...params,
+    custos: [{ tipo: 'saldo', percentual: 1 }]
+  })
+
+  assert.ok(comCusto.totalCustos > 0)
+  assert.ok(comCusto.montanteBruto < semCusto.montanteBruto)
+  assert.ok(comCusto.imposto < semCusto.imposto)
+})
@@ -0,0 +1,77 @@
+// Exportação da evolução mês a mês em CSV, no formato que o Excel em pt-BR
+// abre direto: `;` entre colunas, vírgula decimal e BOM de UTF-8
+
+const formatNumber = (value, digits = 2) => {
+  return value.toLocaleString('pt-BR', {
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits
+  })
+}
+
+const formatMonthYear = (date) => {
+  return `${String(date.getMonth() + 1).padStart(2, '0')}/${date.getFullYear()}`
+}
+
+const csvCell = (value) => {
+  const texto = String(value)
+  return /[;"\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto
+}
+
+/**
+ * @param {Array<object>} evolucao Linhas de `simulate`
+ * @param {{ indiceLabel?: string }} [options] Nome do índice (IPCA/CDI) para
+ *   a coluna de taxa anual do índice
+ * @returns {string}
+ */
+export function buildEvolutionCSV(evolucao, { indiceLabel } = {}) {
+  const reais = evolucao.some((row) => row.inflacao !== null)
+  const retiradas = evolucao.some((row) => row.retirada > 0)
+  const comeCotas = evolucao.some((row) => row.comeCotas > 0)
+
+  const header = [
+    'Mês',
+    'Data',
+    'Aporte',
+    retiradas && 'Retirada',
+    'Total investido',
+    'Juros',
+    comeCotas && 'Come-cotas',
+    'Saldo bruto',
+    'Taxa do mês (%)',
+    indiceLabel && `${indiceLabel} a.a. (%)`,
+    reais && 'Saldo bruto em reais de hoje'
+  ].filter(Boolean)
+
+  const rows = evolucao.map((row) =>
+    [
+      row.mes,
+      formatMonthYear(row.data),
+      formatNumber(row.aporte),
+      ...(retiradas ? [formatNumber(row.retirada)] : []),
+      formatNumber(row.totalInvestido),
+      formatNumber(row.juros),
+      ...(comeCotas ? [formatNumber(row.comeCotas)] : []),
+      formatNumber(row.saldo),
+      row.taxa === null ? '' : formatNumber(row.taxa * 100, 4),
+      ...(indiceLabel
+        ? [row.indice === null ? '' : formatNumber(row.indice)]
+        : []),
+      ...(reais ? [formatNumber(row.saldo / row.inflacao)] : [])
+    ].map(csvCell)
+  )
+
+  return '\uFEFF' + [header, ...rows].map((row) => row.join(';')).join('\r\n')
+}
+
+// Baixa o conteúdo como arquivo, sem passar por servidor
+export function downloadFile(conteudo, nome, tipo) {
+  const url = URL.createObjectURL(
+    conteudo instanceof Blob ? conteudo : new Blob([conteudo], { type: tipo })
+  )
+  const link = document.createElement('a')
+  link.href = url
+  link.download = nome
+  link.click()
+  // Revogar na hora pode cancelar o download em alguns navegadores
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
@@ -0,0 +1,20 @@
+// Curvas embutidas, usadas só quando a API do BCB está fora e não há cache.
+// Medianas do boletim Focus; atualize junto com `DATA_FOCUS_PADRAO`.
+
+export const DATA_FOCUS_PADRAO = '2026-10-09'
+
+export const IPCA_PADRAO = {
+  2026: 4.7,
+  2027: 4.2,
+  2028: 3.8,
+  2029: 3.5,
+  2030: 3.5
+}
+
+export const SELIC_PADRAO = {
+  2026: 15,
+  2027: 12.25,
+  2028: 10.5,
+  2029: 10,
+  2030: 10
+}
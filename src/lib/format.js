@@ -0,0 +1,87 @@
+import { PRODUTOS } from './presets.js'
+
+export const formatCurrency = (value) => {
+  return value.toLocaleString('pt-BR', {
+    style: 'currency',
+    currency: 'BRL',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  })
+}
+
+// Recebe a taxa em decimal (0.01 = 1%)
+export const formatPercent = (value, digits = 2) => {
+  return value.toLocaleString('pt-BR', {
+    style: 'percent',
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits
+  })
+}
+
+// Diferenças com sinal: "+R$ 1.234,56" e "+1,25 p.p."
+export const formatSignedCurrency = (value) => {
+  return `${value > 0 ? '+' : ''}${formatCurrency(value)}`
+}
+
+export const formatPoints = (value) => {
+  const pontos = value.toLocaleString('pt-BR', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  })
+  return `${value > 0 ? '+' : ''}${pontos} p.p.`
+}
+
+export const formatMonth = (date) => {
+  return date.toLocaleDateString('pt-BR', { month: 'short', year: 'numeric' })
+}
+
+// Prazo em meses por extenso: "2 anos e 3 meses"
+export const formatDuration = (meses) => {
+  const anos = Math.floor(meses / 12)
+  const resto = meses % 12
+  const partes = []
+
+  if (anos > 0) partes.push(`${anos} ${anos === 1 ? 'ano' : 'anos'}`)
+  if (resto > 0) partes.push(`${resto} ${resto === 1 ? 'mês' : 'meses'}`)
+
+  return partes.length > 0 ? partes.join(' e ') : 'agora'
+}
+
+// Recebe a taxa em % (12 = 12%)
+export const formatRate = (value) => {
+  return `${value.toLocaleString('pt-BR', { maximumFractionDigits: 2 })}%`
+}
+
+// Com um produto pronto (`produto`), o nome dele vem antes das condições
+export const formatProduct = ({
+  produto,
+  tipoDeTaxa,
+  taxa,
+  vencimento,
+  isento,
+  fundo,
+  capitalizacao
+}) => {
+  const periodo = vencimento === 'meses' ? 'a.m.' : 'a.a.'
+  const nome = {
+    prefixado: `Prefixado ${formatRate(taxa)} ${periodo}`,
+    'ipca+': `IPCA + ${formatRate(taxa)} ${periodo}`,
+    '%CDI': `${formatRate(taxa)} do CDI`,
+    'CDI+': `CDI + ${formatRate(taxa)} ${periodo}`,
+    poupanca: 'Poupança'
+  }[tipoDeTaxa]
+
+  const detalhes = [
+    isento && 'isento',
+    !isento && fundo && `fundo de ${fundo} prazo`,
+    // O IPCA+ e a poupança não têm base diária
+    capitalizacao === 'diaria' &&
+      !['ipca+', 'poupanca'].includes(tipoDeTaxa) &&
+      'base 252'
+  ].filter(Boolean)
+
+  const condicoes =
+    detalhes.length > 0 ? `${nome} (${detalhes.join(', ')})` : nome
+  const label = PRODUTOS[produto]?.label
+  return label && label !== nome ? `${label} · ${condicoes}` : condicoes
+}
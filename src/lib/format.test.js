@@ -0,0 +1,22 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { formatProduct } from './format.js'
+
+test('formatProduct mostra o produto pronto antes das condições', () => {
+  const selic = {
+    tipoDeTaxa: 'CDI+',
+    taxa: 0.1,
+    vencimento: 'ano',
+    isento: false,
+    capitalizacao: 'diaria'
+  }
+
+  assert.equal(
+    formatProduct({ ...selic, produto: 'tesouro-selic' }),
+    'Tesouro Selic · CDI + 0,1% a.a. (base 252)'
+  )
+  assert.equal(
+    formatProduct({ ...selic, produto: 'personalizado' }),
+    'CDI + 0,1% a.a. (base 252)'
+  )
+})
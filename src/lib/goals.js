@@ -0,0 +1,123 @@
+// Metas: resolve o motor de simulação "ao contrário"
+
+import { isCDI, lastCurveYear, simulate } from './simulation.js'
+import { solveIncreasing } from './solver.js'
+import { addMonths } from './calendar.js'
+
+/**
+ * Aporte mensal necessário para chegar a um montante líquido.
+ *
+ * Como a curva anual de IPCA/CDI e o IR por lote não têm forma fechada, a
+ * busca é numérica para todos os tipos de taxa.
+ *
+ * @param {object} params Parâmetros de `simulate`, sem `aporteMensal`
+ * @param {number} alvo Montante líquido desejado
+ * @param {{ emReaisDeHoje?: boolean }} [options] Se o alvo está em reais de
+ *   hoje (exige a curva de IPCA em `params.curvas`)
+ * @returns {number | null} Aporte em reais, arredondado para cima no centavo;
+ *   0 se o aporte inicial já basta e `null` se a meta é inalcançável
+ */
+export function requiredContribution(
+  params,
+  alvo,
+  { emReaisDeHoje = false } = {}
+) {
+  const montante = (aporteMensal) => {
+    const result = simulate({ ...params, aporteMensal })
+    return emReaisDeHoje ? result.montanteReal : result.montanteLiquido
+  }
+
+  if (montante(0) >= alvo) return 0
+
+  const aporte = solveIncreasing(montante, alvo, {
+    max: alvo / Math.max(params.meses, 1),
+    limite: alvo * 10,
+    tolerancia: 0.001
+  })
+
+  return aporte === null ? null : Math.ceil(aporte * 100) / 100
+}
+
+// Prazo máximo das buscas por tempo: 100 anos
+export const MAX_MESES = 1200
+
+// Curvas de que o prazo depende: a do índice do produto, as dos benchmarks de
+// performance e a do IPCA no reajuste pelo IPCA ou na meta em reais de hoje.
+// Um prefixado com meta nominal não depende de nenhuma.
+const curvesUsed = (
+  { tipoDeTaxa, custos = [], cronograma = [], curvas = {} },
+  emReaisDeHoje
+) => {
+  const usadas = new Set(
+    custos
+      .filter((custo) => custo.tipo === 'performance')
+      .map((custo) => custo.benchmark)
+  )
+  if (isCDI(tipoDeTaxa)) usadas.add('cdi')
+  if (tipoDeTaxa === 'poupanca') usadas.add('selic').add('tr')
+  if (
+    tipoDeTaxa === 'ipca+' ||
+    emReaisDeHoje ||
+    cronograma.some((regra) => regra.indice === 'ipca')
+  ) {
+    usadas.add('ipca')
+  }
+
+  return Object.fromEntries(
+    Object.entries(curvas).filter(([indice]) => usadas.has(indice))
+  )
+}
+
+/**
+ * Menor prazo, em meses, em que o montante líquido alcança o alvo.
+ *
+ * @param {object} params Parâmetros de `simulate`, sem `meses`
+ * @param {number} alvo Montante líquido desejado
+ * @param {{ emReaisDeHoje?: boolean, maxMeses?: number }} [options]
+ * @returns {{ meses: number, data: Date, alemDaCurva: boolean, anoFinalCurva: number | null } | null}
+ *   `alemDaCurva` indica que a data passa do último ano das curvas, a partir
+ *   do qual a taxa do último ano é repetida; `null` se não chega no prazo máximo
+ */
+export function timeToGoal(
+  params,
+  alvo,
+  { emReaisDeHoje = false, maxMeses = MAX_MESES } = {}
+) {
+  // Mês a mês e não por busca binária: retiradas do cronograma fazem o
+  // montante cair no meio do caminho
+  const { evolucao } = simulate({
+    ...params,
+    meses: maxMeses,
+    liquidoPorMes: true
+  })
+  const alcancado = evolucao.find(
+    (linha) =>
+      (emReaisDeHoje
+        ? linha.saldoLiquido / linha.inflacao
+        : linha.saldoLiquido) >= alvo
+  )
+  if (!alcancado) return null
+
+  const meses = alcancado.mes
+  const data = addMonths(params.dataInicial ?? new Date(), meses)
+  const anoFinalCurva = lastCurveYear(curvesUsed(params, emReaisDeHoje))
+
+  return {
+    meses,
+    data,
+    alemDaCurva: anoFinalCurva !== null && data.getFullYear() > anoFinalCurva,
+    anoFinalCurva
+  }
+}
+
+/**
+ * Patrimônio, em reais de hoje, que sustenta uma renda mensal pela regra da
+ * taxa de retirada segura (ex.: 4% a.a.).
+ *
+ * @param {number} rendaMensal
+ * @param {number} taxaRetirada Em % ao ano
+ * @returns {number}
+ */
+export function independenceTarget(rendaMensal, taxaRetirada) {
+  return (rendaMensal * 12) / (taxaRetirada / 100)
+}
@@ -0,0 +1,41 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { timeToGoal } from './goals.js'
+
+const params = {
+  aporteInicial: 0,
+  aporteMensal: 100,
+  taxa: 10,
+  tipoDeTaxa: 'prefixado',
+  isento: false,
+  curvas: { ipca: { 2026: 4 } },
+  dataInicial: new Date(2026, 0, 10)
+}
+
+test('timeToGoal acha o primeiro mês mesmo com uma retirada depois dele', () => {
+  const { meses } = timeToGoal(
+    { ...params, cronograma: [{ tipo: 'retirada', mes: 24, valor: 2000 }] },
+    2300
+  )
+  assert.equal(meses, 22)
+})
+
+test('timeToGoal devolve null quando a meta não chega no prazo máximo', () => {
+  assert.equal(timeToGoal(params, 1e12), null)
+})
+
+test('timeToGoal só avisa do fim das curvas que o produto usa', () => {
+  const curvas = { ipca: { 2026: 4 }, cdi: { 2026: 10 }, selic: { 2026: 10 } }
+
+  assert.equal(timeToGoal({ ...params, curvas }, 50000).alemDaCurva, false)
+  assert.equal(
+    timeToGoal({ ...params, curvas }, 50000, { emReaisDeHoje: true })
+      .alemDaCurva,
+    true
+  )
+  assert.equal(
+    timeToGoal({ ...params, curvas, tipoDeTaxa: '%CDI', taxa: 100 }, 50000)
+      .alemDaCurva,
+    true
+  )
+})
@@ -0,0 +1,163 @@
+// Histórico de simulações no localStorage
+
+import { defaultStorage, readJSON, writeJSON } from './storage.js'
+import { formatProduct } from './format.js'
+import { simulate } from './simulation.js'
+
+const HISTORICO_KEY = 'historico'
+
+// Acima disso as simulações mais antigas saem
+export const MAX_HISTORICO = 20
+
+const newId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+
+// Só os totais: a evolução mês a mês passaria do limite do localStorage com
+// poucas simulações e é refeita ao abrir (`restoreSimulation`)
+const totals = ({ evolucao, ...totais }) => totais
+
+const withoutEvolution = (resultado) => ({
+  ...totals(resultado),
+  decumulacao: resultado.decumulacao && totals(resultado.decumulacao),
+  comparacao: resultado.comparacao && {
+    ...resultado.comparacao,
+    resultados: resultado.comparacao.resultados.map(totals)
+  }
+})
+
+// O JSON guarda datas como texto
+const reviveDates = (resultado) => ({
+  ...resultado,
+  prazo: resultado.prazo && {
+    ...resultado.prazo,
+    data: resultado.prazo.data && new Date(resultado.prazo.data)
+  },
+  decumulacao: resultado.decumulacao && {
+    ...resultado.decumulacao,
+    dataFim: new Date(resultado.decumulacao.dataFim)
+  },
+  premissas: resultado.premissas?.cdi?.cdiAtual
+    ? {
+        ...resultado.premissas,
+        cdi: {
+          ...resultado.premissas.cdi,
+          cdiAtual: {
+            ...resultado.premissas.cdi.cdiAtual,
+            data: new Date(resultado.premissas.cdi.cdiAtual.data)
+          }
+        }
+      }
+    : resultado.premissas
+})
+
+/**
+ * @param {Storage | null} [storage]
+ * @returns {Array<{ id: string, nome: string, criadoEm: string, entradas: object, curvas: object, resultado: object }>}
+ *   Mais recentes primeiro
+ */
+export function readHistory(storage = defaultStorage()) {
+  return (readJSON(storage, HISTORICO_KEY) ?? []).map((item) => ({
+    ...item,
+    resultado: reviveDates(withoutEvolution(item.resultado))
+  }))
+}
+
+// `null` quando o navegador não aceitou a gravação
+const writeHistory = (historico, storage) => {
+  const lista = historico.slice(0, MAX_HISTORICO)
+  return writeJSON(storage, HISTORICO_KEY, lista) ? lista : null
+}
+
+/**
+ * Guarda uma simulação no topo do histórico.
+ *
+ * @param {{ entradas: object, curvas: object, resultado: object }} simulacao
+ *   `entradas` são os valores do formulário, para poder recarregá-lo
+ * @param {{ storage?: Storage | null, agora?: Date }} [options]
+ * @returns {Array<object> | null} Histórico atualizado, ou `null` se não
+ *   foi possível gravar (storage cheio ou desabilitado)
+ */
+export function saveSimulation(
+  { entradas, curvas, resultado },
+  { storage = defaultStorage(), agora = new Date() } = {}
+) {
+  const item = {
+    id: newId(),
+    nome: formatProduct(resultado.entradas),
+    criadoEm: agora.toISOString(),
+    entradas,
+    curvas,
+    resultado: withoutEvolution(resultado)
+  }
+
+  return writeHistory([item, ...readHistory(storage)], storage)
+}
+
+export function renameSimulation(id, nome, storage = defaultStorage()) {
+  return writeHistory(
+    readHistory(storage).map((item) =>
+      item.id === id ? { ...item, nome } : item
+    ),
+    storage
+  )
+}
+
+// A cópia entra logo abaixo da original
+export function duplicateSimulation(
+  id,
+  { storage = defaultStorage(), agora = new Date() } = {}
+) {
+  return writeHistory(
+    readHistory(storage).flatMap((item) =>
+      item.id === id
+        ? [
+            item,
+            {
+              ...item,
+              id: newId(),
+              nome: `${item.nome} (cópia)`,
+              criadoEm: agora.toISOString()
+            }
+          ]
+        : [item]
+    ),
+    storage
+  )
+}
+
+export function deleteSimulation(id, storage = defaultStorage()) {
+  return writeHistory(
+    readHistory(storage).filter((item) => item.id !== id),
+    storage
+  )
+}
+
+/**
+ * Refaz a evolução mês a mês de uma simulação salva, com as mesmas entradas e
+ * curvas, a partir do dia em que foi feita.
+ *
+ * @param {{ criadoEm: string, curvas: object, resultado: object }} item
+ * @returns {object} `resultado` com `evolucao` (e a da fase de retirada)
+ */
+export function restoreSimulation({ criadoEm, curvas, resultado }) {
+  const { decumulacao } = resultado
+  const simulado = simulate({
+    ...resultado.entradas,
+    curvas,
+    dataInicial: new Date(criadoEm),
+    decumulacao: decumulacao && {
+      renda: decumulacao.renda,
+      indexada: decumulacao.indexada,
+      meses: decumulacao.mesesPlanejados
+    }
+  })
+
+  return {
+    ...resultado,
+    evolucao: simulado.evolucao,
+    decumulacao: decumulacao && {
+      ...decumulacao,
+      evolucao: simulado.decumulacao.evolucao
+    }
+  }
+}
@@ -0,0 +1,50 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readHistory, restoreSimulation, saveSimulation } from './history.js'
+import { simulate } from './simulation.js'
+import { memoryStorage } from './testHelpers.js'
+
+const curvas = { ipca: { 2026: 4 } }
+const entradas = {
+  tipoDeTaxa: 'prefixado',
+  taxa: 10,
+  isento: false,
+  aporteInicial: 1000,
+  aporteMensal: 100,
+  cronograma: [],
+  meses: 24
+}
+const agora = new Date(2026, 0, 10)
+
+const simulacao = () => ({
+  entradas: {},
+  curvas,
+  resultado: {
+    ...simulate({ ...entradas, curvas, dataInicial: agora }),
+    entradas,
+    premissas: {
+      cdi: { cdiAtual: { data: new Date(2026, 0, 9), valor: 14.9 } }
+    }
+  }
+})
+
+test('o histórico guarda só os totais e refaz a evolução ao abrir', () => {
+  const storage = memoryStorage()
+  saveSimulation(simulacao(), { storage, agora })
+
+  const [item] = readHistory(storage)
+  assert.equal(item.resultado.evolucao, undefined)
+  assert.deepEqual(
+    item.resultado.premissas.cdi.cdiAtual.data,
+    new Date(2026, 0, 9)
+  )
+  assert.deepEqual(
+    restoreSimulation(item).evolucao,
+    simulacao().resultado.evolucao
+  )
+})
+
+test('saveSimulation devolve null quando o storage não grava', () => {
+  const storage = memoryStorage({ cheio: true })
+  assert.equal(saveSimulation(simulacao(), { storage, agora }), null)
+})
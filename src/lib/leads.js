@@ -0,0 +1,160 @@
+// Envio do lead (contato + simulação) para um endpoint configurável, com fila
+// no localStorage para reenviar o que falhou.
+
+import axios from 'axios'
+import { defaultStorage, readJSON, writeJSON } from './storage.js'
+
+// Depois disso o lead é descartado da fila
+export const MAX_TENTATIVAS = 10
+
+const FILA_KEY = 'leads'
+
+export const encode = (data) => {
+  return Object.keys(data)
+    .map((key) => encodeURIComponent(key) + '=' + encodeURIComponent(data[key]))
+    .join('&')
+}
+
+// Achata objetos e arrays em chaves com ponto (`entradas.comparacao.0.taxa`),
+// que é o que um formulário consegue receber
+const flatten = (data, prefix = '') =>
+  Object.entries(data).reduce((campos, [key, value]) => {
+    const name = prefix ? `${prefix}.${key}` : key
+
+    if (value === null || value === undefined) return campos
+    if (typeof value === 'object' && !(value instanceof Date)) {
+      return { ...campos, ...flatten(value, name) }
+    }
+    return {
+      ...campos,
+      [name]: value instanceof Date ? value.toISOString() : value
+    }
+  }, {})
+
+const withoutEvolution = ({ evolucao, ...resumo }) => resumo
+
+/**
+ * Monta o que vai para o endpoint: contato, entradas do formulário e um
+ * resumo do resultado (sem a evolução mês a mês).
+ *
+ * @param {{ lead: object, entradas: object, resultado: object }} dados
+ * @returns {object}
+ */
+export function buildLeadPayload({ lead, entradas, resultado }) {
+  const { evolucao, comparacao, decumulacao, ...resumo } = resultado
+
+  return {
+    lead,
+    entradas,
+    resultado: {
+      ...resumo,
+      decumulacao: decumulacao && withoutEvolution(decumulacao),
+      comparacao: comparacao && {
+        vencedor: comparacao.vencedor,
+        montantesLiquidos: comparacao.resultados.map((r) => r.montanteLiquido)
+      }
+    },
+    enviadoEm: new Date().toISOString()
+  }
+}
+
+/**
+ * Envia um lead. `formato: 'form'` faz o POST urlencoded no estilo Netlify
+ * Forms (com `form-name`); `'json'` manda o payload como está, para webhooks.
+ *
+ * @param {object} payload
+ * @param {{ endpoint: string, formato?: string, formName?: string, http?: object }} config
+ * @returns {Promise<void>} Rejeita se o envio falhar
+ */
+export async function sendLead(
+  payload,
+  { endpoint, formato = 'form', formName = 'lead', http = axios }
+) {
+  if (formato === 'json') {
+    await http.post(endpoint, payload, {
+      headers: { 'Content-Type': 'application/json' }
+    })
+    return
+  }
+
+  await http.post(
+    endpoint,
+    encode({ 'form-name': formName, ...flatten(payload) }),
+    { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }
+  )
+}
+
+export const readLeadQueue = (storage = defaultStorage()) =>
+  readJSON(storage, FILA_KEY) ?? []
+
+// Reenvio em andamento: quem chama de novo espera o mesmo, para o lead não
+// sair duas vezes
+let reenvio = null
+
+/**
+ * Reenvia os leads da fila, na ordem em que entraram. Os que falham de novo
+ * continuam na fila com uma tentativa a mais.
+ *
+ * @param {object} config Mesmo `config` de `sendLead`, mais `storage`
+ * @returns {Promise<{ enviados: number, pendentes: number }>}
+ */
+export function flushLeadQueue(config) {
+  reenvio ??= resend(config).finally(() => {
+    reenvio = null
+  })
+  return reenvio
+}
+
+async function resend({ storage = defaultStorage(), ...config }) {
+  const fila = readLeadQueue(storage)
+  if (!config.endpoint || fila.length === 0) {
+    return { enviados: 0, pendentes: fila.length }
+  }
+
+  const pendentes = []
+  for (const item of fila) {
+    try {
+      await sendLead(item.payload, config)
+    } catch {
+      const tentativas = item.tentativas + 1
+      if (tentativas < MAX_TENTATIVAS) pendentes.push({ ...item, tentativas })
+    }
+  }
+
+  // Durante o reenvio a fila só cresce no fim: mantém o que entrou nesse meio
+  // tempo
+  const novos = readLeadQueue(storage).slice(fila.length)
+  writeJSON(storage, FILA_KEY, [...pendentes, ...novos])
+  return {
+    enviados: fila.length - pendentes.length,
+    pendentes: pendentes.length + novos.length
+  }
+}
+
+/**
+ * Envia um lead; se falhar ele vai para a fila. Depois de um envio com
+ * sucesso a fila é reenviada, já que a conexão voltou.
+ *
+ * @param {object} payload
+ * @param {object} config Mesmo `config` de `sendLead`, mais `storage`
+ * @returns {Promise<boolean>} Se o lead foi enviado agora
+ */
+export async function submitLead(
+  payload,
+  { storage = defaultStorage(), ...config }
+) {
+  if (!config.endpoint) return false
+
+  try {
+    await sendLead(payload, config)
+  } catch {
+    writeJSON(storage, FILA_KEY, [
+      ...readLeadQueue(storage),
+      { payload, tentativas: 1, criadoEm: new Date().toISOString() }
+    ])
+    return false
+  }
+
+  await flushLeadQueue({ storage, ...config })
+  return true
+}
@@ -0,0 +1,33 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { flushLeadQueue, readLeadQueue, submitLead } from './leads.js'
+import { memoryStorage } from './testHelpers.js'
+
+test('reenvios simultâneos não duplicam nem perdem leads', async () => {
+  const storage = memoryStorage()
+  const enviados = []
+  let online = false
+  const http = {
+    post: async (endpoint, payload) => {
+      if (!online) throw new Error('offline')
+      await new Promise((resolve) => setTimeout(resolve, 5))
+      enviados.push(payload.lead)
+    }
+  }
+  const config = { endpoint: '/leads', formato: 'json', http, storage }
+
+  await submitLead({ lead: 'a' }, config)
+  online = true
+  const primeiro = flushLeadQueue(config)
+  const segundo = flushLeadQueue(config)
+  online = false
+  await submitLead({ lead: 'b' }, config)
+  online = true
+  await Promise.all([primeiro, segundo])
+
+  assert.deepEqual(enviados, ['a'])
+  assert.deepEqual(
+    readLeadQueue(storage).map((item) => item.payload.lead),
+    ['b']
+  )
+})
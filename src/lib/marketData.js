@@ -0,0 +1,213 @@
+// Busca das curvas de IPCA e CDI no Banco Central.
+//
+// As funções recebem o cliente HTTP e o storage por parâmetro (padrão: axios e
+// localStorage) para que possam ser exercitadas com respostas locais em vez
+// das APIs do BCB.
+//
+// Ordem de tentativa: cache recente, API, cache antigo e, por último, as
+// curvas embutidas. O resultado sempre informa a `origem` dos dados usados.
+
+import axios from 'axios'
+import { addMonths, monthKey } from './calendar.js'
+import { defaultStorage, readJSON, writeJSON } from './storage.js'
+import {
+  DATA_FOCUS_PADRAO,
+  IPCA_PADRAO,
+  SELIC_PADRAO
+} from './defaultCurves.js'
+
+const FOCUS_URL =
+  'https://olinda.bcb.gov.br/olinda/servico/Expectativas/versao/v1/odata/ExpectativasMercadoAnuais'
+
+// Série 4389 do SGS: CDI anualizado na base 252, em % a.a.
+const SGS_CDI_URL =
+  'https://api.bcb.gov.br/dados/serie/bcdata.sgs.4389/dados/ultimos/1?formato=json'
+
+// Diferença padrão, em pontos percentuais, entre a Selic e o CDI. Antes o CDI
+// era 98% da Selic; o spread fixo fica mais perto do CDI observado
+export const SPREAD_SELIC_CDI = 0.1
+
+// Quantos meses usam o CDI atual antes de passar para a projeção Focus
+export const MESES_CDI_RECENTE = 3
+
+export const FONTES_CDI = {
+  focus: 'Projeção Focus (Selic)',
+  sgs: 'CDI atual (BCB SGS) + projeção Focus'
+}
+
+export const ORIGENS = {
+  api: 'BCB',
+  cache: 'cache local',
+  padrao: 'curva padrão embutida',
+  manual: 'premissas informadas pelo usuário'
+}
+
+// Depois desse tempo o cache só é usado se a API falhar
+const CACHE_TTL = 12 * 60 * 60 * 1000
+
+// Uma API que trava conta como falha, para cair no cache ou na curva padrão
+export const TIMEOUT_MS = 10 * 1000
+
+async function withCache(key, fetcher, { storage, agora }) {
+  const cached = readJSON(storage, key)
+  if (cached && agora - cached.salvoEm < CACHE_TTL) {
+    return { ...cached.dados, origem: 'cache', salvoEm: cached.salvoEm }
+  }
+
+  try {
+    const dados = await fetcher()
+    writeJSON(storage, key, { salvoEm: agora, dados })
+    return { ...dados, origem: 'api', salvoEm: agora }
+  } catch (error) {
+    if (!cached) throw error
+
+    console.warn(`Usando cache antigo de ${key}:`, error)
+    return {
+      ...cached.dados,
+      origem: 'cache',
+      salvoEm: cached.salvoEm,
+      desatualizado: true
+    }
+  }
+}
+
+// Fica com a expectativa mais recente de cada ano de referência
+export function parseFocusResponse(data) {
+  const results = {}
+  for (const item of data.value) {
+    const ano = item.DataReferencia
+    const atual = results[ano]
+
+    if (!atual || new Date(item.Data) > new Date(atual.Data)) {
+      results[ano] = item
+    }
+  }
+
+  return results
+}
+
+// O SGS responde [{ data: 'dd/mm/aaaa', valor: '14.90' }]
+export function parseSGSResponse(data) {
+  const ultimo = data[data.length - 1]
+  const [dia, mes, ano] = ultimo.data.split('/').map(Number)
+
+  return { data: new Date(ano, mes - 1, dia), valor: parseFloat(ultimo.valor) }
+}
+
+async function fetchFocus(indicador, http) {
+  const currentYear = new Date().getFullYear()
+  const url = `${FOCUS_URL}?$filter=Indicador eq '${indicador}' and DataReferencia ge '${currentYear}' and Data ge '${currentYear}-01-01'&$orderby=Data desc&$top=100`
+  const { data } = await http.get(url, { timeout: TIMEOUT_MS })
+
+  const focus = Object.values(parseFocusResponse(data))
+  if (focus.length === 0) {
+    throw new Error(`Focus sem expectativas para ${indicador}`)
+  }
+
+  return {
+    curva: Object.fromEntries(
+      focus.map((item) => [item.DataReferencia, item.Media])
+    ),
+    dataFocus: focus.map((item) => item.Data).sort()[focus.length - 1]
+  }
+}
+
+/**
+ * Curva anual da Focus para um indicador, com cache e fallback.
+ *
+ * @param {'IPCA'|'Selic'} indicador
+ * @param {object} [options]
+ * @param {{ get: Function }} [options.http] Cliente com a interface do axios
+ * @param {Storage} [options.storage] Onde guardar o cache
+ * @param {number} [options.agora] Timestamp atual em ms
+ * @returns {Promise<{
+ *   curva: Object<string, number>,
+ *   dataFocus: string,
+ *   origem: 'api'|'cache'|'padrao',
+ *   salvoEm?: number,
+ *   desatualizado?: boolean
+ * }>} `dataFocus` é a data ('aaaa-mm-dd') da expectativa mais recente
+ */
+export async function fetchFocusCurve(
+  indicador,
+  { http = axios, storage = defaultStorage(), agora = Date.now() } = {}
+) {
+  try {
+    return await withCache(
+      `focus:${indicador}`,
+      () => fetchFocus(indicador, http),
+      { storage, agora }
+    )
+  } catch (error) {
+    console.error(`Erro ao buscar ${indicador}, usando curva padrão:`, error)
+    return {
+      curva: { ...(indicador === 'IPCA' ? IPCA_PADRAO : SELIC_PADRAO) },
+      dataFocus: DATA_FOCUS_PADRAO,
+      origem: 'padrao'
+    }
+  }
+}
+
+export async function fetchIPCARateReal(options = {}) {
+  return fetchFocusCurve('IPCA', options)
+}
+
+/**
+ * Monta a curva de CDI a partir da expectativa Focus para a Selic.
+ *
+ * Com a fonte 'sgs', os primeiros `MESES_CDI_RECENTE` meses usam o último CDI
+ * divulgado pelo BCB (chaves 'aaaa-mm' na curva) e o restante segue a Focus.
+ * Se o SGS não responder e não houver cache, cai para a fonte 'focus'.
+ *
+ * @param {object} [options]
+ * @param {number} [options.spread] Pontos percentuais descontados da Selic
+ * @param {'focus'|'sgs'} [options.fonte]
+ * @param {Date} [options.dataInicial] Início da simulação
+ * @param {{ get: Function }} [options.http] Cliente com a interface do axios
+ * @param {Storage} [options.storage] Onde guardar o cache
+ * @param {number} [options.agora] Timestamp atual em ms
+ * @returns {Promise<object>} Mesmo formato de `fetchFocusCurve`, mais
+ *   `fonte`, `spread`, `selic` (a curva da Focus, usada pela poupança) e, na
+ *   fonte 'sgs', `cdiAtual: { data, valor }`
+ */
+export async function fetchCDIRateReal({
+  spread = SPREAD_SELIC_CDI,
+  fonte = 'focus',
+  dataInicial = new Date(),
+  http = axios,
+  storage = defaultStorage(),
+  agora = Date.now()
+} = {}) {
+  const selic = await fetchFocusCurve('Selic', { http, storage, agora })
+
+  const curva = Object.fromEntries(
+    Object.entries(selic.curva).map(([ano, taxa]) => [
+      ano,
+      parseFloat((taxa - spread).toFixed(3))
+    ])
+  )
+  const cdi = { ...selic, curva, selic: selic.curva, fonte: 'focus', spread }
+
+  if (fonte !== 'sgs') return cdi
+
+  try {
+    const sgs = await withCache(
+      'sgs:CDI',
+      async () => {
+        const { data } = await http.get(SGS_CDI_URL, { timeout: TIMEOUT_MS })
+        return parseSGSResponse(data)
+      },
+      { storage, agora }
+    )
+    const cdiAtual = { data: new Date(sgs.data), valor: sgs.valor }
+
+    for (let i = 1; i <= MESES_CDI_RECENTE; i++) {
+      curva[monthKey(addMonths(dataInicial, i))] = cdiAtual.valor
+    }
+
+    return { ...cdi, fonte: 'sgs', cdiAtual }
+  } catch (error) {
+    console.error('Erro ao buscar CDI no SGS, usando só a Focus:', error)
+    return cdi
+  }
+}
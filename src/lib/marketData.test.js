@@ -0,0 +1,186 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  MESES_CDI_RECENTE,
+  TIMEOUT_MS,
+  fetchCDIRateReal,
+  fetchFocusCurve,
+  parseFocusResponse,
+  parseSGSResponse
+} from './marketData.js'
+import { memoryStorage } from './testHelpers.js'
+
+// Respostas no formato das APIs do BCB
+const FOCUS = {
+  value: [
+    {
+      Indicador: 'IPCA',
+      Data: '2026-01-02',
+      DataReferencia: '2026',
+      Media: 4.1
+    },
+    {
+      Indicador: 'IPCA',
+      Data: '2026-01-09',
+      DataReferencia: '2026',
+      Media: 4.2
+    },
+    {
+      Indicador: 'IPCA',
+      Data: '2026-01-09',
+      DataReferencia: '2027',
+      Media: 3.8
+    }
+  ]
+}
+const SGS = [
+  { data: '08/01/2026', valor: '14.90' },
+  { data: '09/01/2026', valor: '14.65' }
+]
+
+const online = { get: async () => ({ data: FOCUS }) }
+const offline = {
+  get: async () => {
+    throw new Error('offline')
+  }
+}
+
+const HORA = 60 * 60 * 1000
+const agora = Date.UTC(2026, 0, 10)
+
+test('parseFocusResponse fica com a expectativa mais recente de cada ano', () => {
+  const focus = parseFocusResponse(FOCUS)
+  assert.deepEqual(Object.keys(focus), ['2026', '2027'])
+  assert.equal(focus['2026'].Media, 4.2)
+})
+
+test('parseSGSResponse lê o último valor e a data dd/mm/aaaa', () => {
+  assert.deepEqual(parseSGSResponse(SGS), {
+    data: new Date(2026, 0, 9),
+    valor: 14.65
+  })
+})
+
+test('fetchFocusCurve: cache recente, API, cache antigo e curva padrão', async (t) => {
+  t.mock.method(console, 'warn', () => {})
+  t.mock.method(console, 'error', () => {})
+  const storage = memoryStorage()
+
+  const api = await fetchFocusCurve('IPCA', { http: online, storage, agora })
+  assert.equal(api.origem, 'api')
+  assert.deepEqual(api.curva, { 2026: 4.2, 2027: 3.8 })
+  assert.equal(api.dataFocus, '2026-01-09')
+
+  const recente = await fetchFocusCurve('IPCA', {
+    http: offline,
+    storage,
+    agora: agora + HORA
+  })
+  assert.equal(recente.origem, 'cache')
+  assert.equal(recente.desatualizado, undefined)
+
+  const antigo = await fetchFocusCurve('IPCA', {
+    http: offline,
+    storage,
+    agora: agora + 24 * HORA
+  })
+  assert.equal(antigo.origem, 'cache')
+  assert.equal(antigo.desatualizado, true)
+
+  const padrao = await fetchFocusCurve('IPCA', {
+    http: offline,
+    storage: memoryStorage(),
+    agora
+  })
+  assert.equal(padrao.origem, 'padrao')
+})
+
+test('as chamadas ao BCB têm timeout', async () => {
+  const opcoes = []
+  const http = {
+    get: async (url, config) => {
+      opcoes.push(config)
+      return { data: FOCUS }
+    }
+  }
+
+  await fetchFocusCurve('IPCA', { http, storage: memoryStorage(), agora })
+  assert.deepEqual(opcoes, [{ timeout: TIMEOUT_MS }])
+})
+
+const SELIC = {
+  value: [
+    {
+      Indicador: 'Selic',
+      Data: '2026-01-09',
+      DataReferencia: '2026',
+      Media: 14.5
+    },
+    {
+      Indicador: 'Selic',
+      Data: '2026-01-09',
+      DataReferencia: '2027',
+      Media: 12.25
+    }
+  ]
+}
+
+// Focus para a Selic e, se `sgs`, o CDI do SGS; sem ele o SGS falha
+const bcb = ({ sgs = true } = {}) => ({
+  get: async (url) => {
+    if (url.includes('sgs')) {
+      if (!sgs) throw new Error('SGS fora do ar')
+      return { data: SGS }
+    }
+    return { data: SELIC }
+  }
+})
+
+test('fetchCDIRateReal desconta o spread da Selic e devolve a Selic', async () => {
+  const cdi = await fetchCDIRateReal({
+    spread: 0.1,
+    http: bcb(),
+    storage: memoryStorage(),
+    agora
+  })
+
+  assert.equal(cdi.fonte, 'focus')
+  assert.equal(cdi.spread, 0.1)
+  assert.deepEqual(cdi.curva, { 2026: 14.4, 2027: 12.15 })
+  assert.deepEqual(cdi.selic, { 2026: 14.5, 2027: 12.25 })
+})
+
+test('fetchCDIRateReal usa o CDI do SGS nos primeiros meses', async () => {
+  const cdi = await fetchCDIRateReal({
+    fonte: 'sgs',
+    dataInicial: new Date(2026, 0, 10),
+    http: bcb(),
+    storage: memoryStorage(),
+    agora
+  })
+
+  assert.equal(MESES_CDI_RECENTE, 3)
+  assert.equal(cdi.fonte, 'sgs')
+  assert.deepEqual(cdi.cdiAtual, { data: new Date(2026, 0, 9), valor: 14.65 })
+  assert.deepEqual(cdi.curva, {
+    2026: 14.4,
+    2027: 12.15,
+    '2026-02': 14.65,
+    '2026-03': 14.65,
+    '2026-04': 14.65
+  })
+})
+
+test('fetchCDIRateReal volta para a Focus se o SGS falhar', async (t) => {
+  t.mock.method(console, 'error', () => {})
+  const cdi = await fetchCDIRateReal({
+    fonte: 'sgs',
+    http: bcb({ sgs: false }),
+    storage: memoryStorage(),
+    agora
+  })
+
+  assert.equal(cdi.fonte, 'focus')
+  assert.equal(cdi.cdiAtual, undefined)
+  assert.deepEqual(cdi.curva, { 2026: 14.4, 2027: 12.15 })
+})
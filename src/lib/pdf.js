@@ -0,0 +1,265 @@
+// Relatório da simulação em PDF, gerado no navegador
+
+import { jsPDF } from 'jspdf'
+import { autoTable } from 'jspdf-autotable'
+import {
+  formatCurrency,
+  formatDuration,
+  formatMonth,
+  formatPercent,
+  formatPoints,
+  formatProduct,
+  formatSignedCurrency
+} from './format.js'
+import { assumptionLines } from './assumptions.js'
+import { describeSchedule } from './schedule.js'
+import { describeCosts } from './costs.js'
+import { fullEvolution } from './simulation.js'
+
+// blue-500 do tailwind, a cor da calculadora
+const AZUL = [59, 130, 246]
+const MARGEM = 14
+
+const section = (doc, titulo, y) => {
+  doc.setFont('helvetica', 'bold')
+  doc.setFontSize(12)
+  doc.setTextColor(...AZUL)
+  doc.text(titulo, MARGEM, y)
+  return y + 2
+}
+
+const keyValueTable = (doc, linhas, startY) => {
+  autoTable(doc, {
+    startY,
+    body: linhas,
+    theme: 'plain',
+    styles: { fontSize: 9, cellPadding: 1 },
+    columnStyles: { 0: { fontStyle: 'bold', cellWidth: 60 } },
+    margin: { left: MARGEM, right: MARGEM }
+  })
+  return doc.lastAutoTable.finalY + 8
+}
+
+const goalLines = ({ meta, prazo }) => {
+  const linhas = []
+
+  if (meta) {
+    linhas.push([
+      'Aporte mensal necessário',
+      meta.aporteNecessario === null
+        ? 'Nenhum aporte alcança a meta no prazo'
+        : `${formatCurrency(meta.aporteNecessario)} para chegar a ${formatCurrency(meta.valor)}${meta.tipo === 'hoje' ? ' em reais de hoje' : ''}`
+    ])
+  }
+
+  if (prazo) {
+    linhas.push([
+      prazo.independencia ? 'Patrimônio necessário' : 'Meta',
+      `${formatCurrency(prazo.alvo)}${prazo.emReaisDeHoje ? ' em reais de hoje' : ''}`
+    ])
+    linhas.push([
+      prazo.independencia ? 'Independência financeira' : 'Meta alcançada em',
+      prazo.meses === undefined
+        ? 'Não alcançada em 100 anos'
+        : `${formatMonth(prazo.data)} (${prazo.meses} meses)`
+    ])
+  }
+
+  return linhas
+}
+
+const benchmarkLines = (referencias) =>
+  referencias.map((referencia) => [
+    referencia.label,
+    [
+      `${formatSignedCurrency(referencia.diferenca)} no líquido`,
+      referencia.diferencaPP !== null &&
+        `${formatPoints(referencia.diferencaPP)} a.a. de rentabilidade real`
+    ]
+      .filter(Boolean)
+      .join(', ')
+  ])
+
+const retirementLines = (decumulacao) => [
+  [
+    'Retirada mensal',
+    `${formatCurrency(decumulacao.renda)}${decumulacao.indexada ? ' em reais de hoje, corrigida pelo IPCA' : ''}`
+  ],
+  [
+    'Duração',
+    decumulacao.esgotado
+      ? `${formatDuration(decumulacao.meses)}, até ${formatMonth(decumulacao.dataFim)}`
+      : `${formatDuration(decumulacao.meses)} sem acabar (sobram ${formatCurrency(decumulacao.saldoFinalLiquido)} líquidos)`
+  ],
+  ['Total retirado', formatCurrency(decumulacao.totalRetirado)],
+  [
+    'Imposto sobre os rendimentos retirados',
+    formatCurrency(decumulacao.imposto + decumulacao.iof)
+  ],
+  decumulacao.custos > 0 && [
+    'Custos pagos',
+    formatCurrency(decumulacao.custos)
+  ],
+  ['Total recebido líquido', formatCurrency(decumulacao.rendaLiquida)]
+]
+
+/**
+ * Monta o PDF com entradas, premissas (incluindo a data do Focus), totais e
+ * a evolução mês a mês.
+ *
+ * @param {object} result Resultado guardado pelo App (com `entradas`)
+ * @param {{ indiceLabel?: string }} [options]
+ * @returns {jsPDF} Use `.save(nome)` para baixar
+ */
+export function buildResultPDF(result, { indiceLabel } = {}) {
+  const doc = new jsPDF()
+  const largura = doc.internal.pageSize.getWidth()
+  const { entradas } = result
+  const evolucao = fullEvolution(result)
+  const retiradas = evolucao.some((row) => row.retirada > 0)
+
+  doc.setFillColor(...AZUL)
+  doc.rect(0, 0, largura, 28, 'F')
+  doc.setTextColor(255, 255, 255)
+  doc.setFont('helvetica', 'bold')
+  doc.setFontSize(18)
+  doc.text('Calculadora de investimentos', MARGEM, 14)
+  doc.setFont('helvetica', 'normal')
+  doc.setFontSize(10)
+  doc.text(
+    `Simulação gerada em ${new Date().toLocaleDateString('pt-BR')}`,
+    MARGEM,
+    22
+  )
+
+  let y = section(doc, 'Dados da simulação', 40)
+  y = keyValueTable(
+    doc,
+    [
+      ['Produto', formatProduct(entradas)],
+      ['Aporte inicial', formatCurrency(entradas.aporteInicial)],
+      ['Aporte mensal', formatCurrency(entradas.aporteMensal)],
+      ['Prazo', `${entradas.meses} meses`],
+      ...describeSchedule(entradas.cronograma ?? []).map((regra) => [
+        'Cronograma',
+        regra
+      ]),
+      ...describeCosts(entradas.custos ?? []).map((custo) => ['Custos', custo]),
+      ...goalLines(result)
+    ],
+    y
+  )
+
+  const premissas = assumptionLines(result.premissas)
+  y = section(doc, 'Premissas', y)
+  y = keyValueTable(
+    doc,
+    (premissas.length > 0 ? premissas : ['Sem índices: taxa prefixada']).map(
+      (linha) => {
+        const [chave, ...valor] = linha.split(': ')
+        return [chave, valor.join(': ')]
+      }
+    ),
+    y
+  )
+
+  y = section(doc, 'Resultado', y)
+  y = keyValueTable(
+    doc,
+    [
+      ['Total investido', formatCurrency(result.totalInvestido)],
+      result.totalRetirado > 0 && [
+        'Total retirado',
+        formatCurrency(result.totalRetirado)
+      ],
+      ['Montante bruto', formatCurrency(result.montanteBruto)],
+      result.totalCustos > 0 && [
+        'Custos pagos',
+        formatCurrency(result.totalCustos)
+      ],
+      result.iof > 0 && ['IOF', formatCurrency(result.iof)],
+      ['Imposto de renda', formatCurrency(result.imposto)],
+      result.comeCotas > 0 && [
+        'Come-cotas (incluso no IR)',
+        formatCurrency(result.comeCotas)
+      ],
+      ['Montante líquido', formatCurrency(result.montanteLiquido)],
+      result.montanteReal !== null && [
+        'Em reais de hoje',
+        formatCurrency(result.montanteReal)
+      ],
+      result.rentabilidadeReal !== null && [
+        'Rentabilidade real',
+        `${formatPercent(result.rentabilidadeReal)} a.a.`
+      ]
+    ].filter(Boolean),
+    y
+  )
+
+  if (result.referencias) {
+    y = section(doc, 'Comparado com poupança e CDI', y)
+    y = keyValueTable(doc, benchmarkLines(result.referencias), y)
+  }
+
+  if (result.decumulacao) {
+    y = section(doc, 'Fase de retirada', y)
+    y = keyValueTable(
+      doc,
+      retirementLines(result.decumulacao).filter(Boolean),
+      y
+    )
+  }
+
+  y = section(doc, 'Evolução mensal', y)
+  autoTable(doc, {
+    startY: y,
+    head: [
+      [
+        'Mês',
+        'Aporte',
+        ...(retiradas ? ['Retirada'] : []),
+        'Total investido',
+        'Juros',
+        'Saldo bruto',
+        'Taxa',
+        ...(indiceLabel ? [`${indiceLabel} a.a.`] : [])
+      ]
+    ],
+    body: evolucao.map((row) => [
+      `${row.mes} (${formatMonth(row.data)})`,
+      formatCurrency(row.aporte),
+      ...(retiradas ? [formatCurrency(row.retirada)] : []),
+      formatCurrency(row.totalInvestido),
+      formatCurrency(row.juros),
+      formatCurrency(row.saldo),
+      row.taxa === null ? '-' : formatPercent(row.taxa, 3),
+      ...(indiceLabel
+        ? [row.indice === null ? '-' : formatPercent(row.indice / 100)]
+        : [])
+    ]),
+    styles: { fontSize: 8, halign: 'right' },
+    columnStyles: { 0: { halign: 'left' } },
+    headStyles: { fillColor: AZUL },
+    margin: { left: MARGEM, right: MARGEM }
+  })
+
+  // Rodapé em todas as páginas
+  const paginas = doc.getNumberOfPages()
+  const altura = doc.internal.pageSize.getHeight()
+  for (let pagina = 1; pagina <= paginas; pagina++) {
+    doc.setPage(pagina)
+    doc.setFont('helvetica', 'normal')
+    doc.setFontSize(8)
+    doc.setTextColor(120, 120, 120)
+    doc.text(
+      'Simulação baseada em projeções de mercado; não é garantia de rentabilidade.',
+      MARGEM,
+      altura - 8
+    )
+    doc.text(`${pagina}/${paginas}`, largura - MARGEM, altura - 8, {
+      align: 'right'
+    })
+  }
+
+  return doc
+}
@@ -0,0 +1,83 @@
+// Produtos prontos: preenchem os campos crus do formulário (tipo de taxa,
+// imposto, custos, capitalização), que continuam editáveis depois
+
+// Taxa de custódia da B3 sobre os títulos do Tesouro Direto, em % a.a.
+export const CUSTODIA_TESOURO = '0,20'
+
+const custodiaTesouro = [
+  { tipo: 'saldo', valor: CUSTODIA_TESOURO, benchmark: 'cdi' }
+]
+
+// `taxa` só vem quando o produto tem um valor típico; senão o campo é limpo
+export const PRODUTOS = {
+  'tesouro-selic': {
+    label: 'Tesouro Selic',
+    valores: {
+      tipoDeTaxa: 'CDI+',
+      // A Selic fica uns 0,10 p.p. acima do CDI
+      taxa: '0,10',
+      vencimento: 'ano',
+      isentoDeImposto: 'não',
+      fundo: 'não',
+      capitalizacao: 'diaria',
+      custos: custodiaTesouro
+    }
+  },
+  'tesouro-ipca': {
+    label: 'Tesouro IPCA+',
+    valores: {
+      tipoDeTaxa: 'ipca+',
+      vencimento: 'ano',
+      isentoDeImposto: 'não',
+      fundo: 'não',
+      capitalizacao: 'mensal',
+      custos: custodiaTesouro
+    }
+  },
+  'tesouro-prefixado': {
+    label: 'Tesouro Prefixado',
+    valores: {
+      tipoDeTaxa: 'prefixado',
+      vencimento: 'ano',
+      isentoDeImposto: 'não',
+      fundo: 'não',
+      capitalizacao: 'diaria',
+      custos: custodiaTesouro
+    }
+  },
+  cdb: {
+    label: 'CDB',
+    valores: {
+      tipoDeTaxa: '%CDI',
+      taxa: '100',
+      isentoDeImposto: 'não',
+      fundo: 'não',
+      capitalizacao: 'diaria',
+      custos: []
+    }
+  },
+  'lci-lca': {
+    label: 'LCI/LCA',
+    valores: {
+      tipoDeTaxa: '%CDI',
+      taxa: '90',
+      isentoDeImposto: 'sim',
+      fundo: 'não',
+      capitalizacao: 'diaria',
+      custos: []
+    }
+  },
+  poupanca: {
+    label: 'Poupança',
+    valores: {
+      tipoDeTaxa: 'poupanca',
+      taxa: '',
+      isentoDeImposto: 'sim',
+      fundo: 'não',
+      capitalizacao: 'mensal',
+      custos: []
+    }
+  }
+}
+
+export const PRODUTO_PERSONALIZADO = 'personalizado'
@@ -0,0 +1,89 @@
+// Cronograma de aportes: reajuste anual, 13º e movimentações avulsas
+
+import { addMonths } from './calendar.js'
+import { formatCurrency, formatRate } from './format.js'
+
+/**
+ * Aporte e retirada de cada mês a partir do aporte mensal e das regras.
+ *
+ * Regras aceitas:
+ * - `{ tipo: 'reajuste', percentual }`: o aporte mensal sobe `percentual`%
+ *   a cada 12 meses
+ * - `{ tipo: 'reajuste', indice: 'ipca' }`: sobe o IPCA acumulado nos 12
+ *   meses anteriores
+ * - `{ tipo: '13o', valor? }`: aporte extra em todo dezembro; sem `valor` é
+ *   igual ao aporte mensal do momento
+ * - `{ tipo: 'deposito' | 'retirada', mes, valor }`: movimentação avulsa no
+ *   fim do mês `mes` (1 é o primeiro mês)
+ *
+ * @param {object} params
+ * @param {number} params.aporteMensal
+ * @param {Array<object>} params.cronograma
+ * @param {number} params.meses
+ * @param {Date} params.dataInicial
+ * @param {(data: Date) => number} [params.ipcaMensal] IPCA do mês em decimal;
+ *   obrigatório para o reajuste pelo IPCA
+ * @returns {Array<{ aporte: number, retirada: number }>} Índice 0 é o mês 1
+ */
+export function contributionSchedule({
+  aporteMensal,
+  cronograma,
+  meses,
+  dataInicial,
+  ipcaMensal
+}) {
+  const reajustes = cronograma.filter((regra) => regra.tipo === 'reajuste')
+  const decimoTerceiro = cronograma.find((regra) => regra.tipo === '13o')
+
+  let aporte = aporteMensal
+  // IPCA acumulado desde o último reajuste
+  let ipcaAcumulado = 1
+  const schedule = []
+
+  for (let mes = 1; mes <= meses; mes++) {
+    const data = addMonths(dataInicial, mes)
+
+    if (mes > 1 && (mes - 1) % 12 === 0) {
+      for (const regra of reajustes) {
+        aporte *=
+          regra.indice === 'ipca' ? ipcaAcumulado : 1 + regra.percentual / 100
+      }
+      ipcaAcumulado = 1
+    }
+
+    if (reajustes.some((regra) => regra.indice === 'ipca')) {
+      ipcaAcumulado *= 1 + ipcaMensal(data)
+    }
+
+    let total = aporte
+    if (decimoTerceiro && data.getMonth() === 11) {
+      total += decimoTerceiro.valor ?? aporte
+    }
+
+    let retirada = 0
+    for (const regra of cronograma) {
+      if (regra.mes !== mes) continue
+      if (regra.tipo === 'deposito') total += regra.valor
+      if (regra.tipo === 'retirada') retirada += regra.valor
+    }
+
+    schedule.push({ aporte: total, retirada })
+  }
+
+  return schedule
+}
+
+// Descrição das regras para relatórios
+export function describeSchedule(cronograma) {
+  return cronograma.map((regra) => {
+    if (regra.tipo === 'reajuste') {
+      return regra.indice === 'ipca'
+        ? 'Reajuste anual do aporte pelo IPCA'
+        : `Reajuste anual do aporte de ${formatRate(regra.percentual)}`
+    }
+    if (regra.tipo === '13o') {
+      return `13º em dezembro: ${regra.valor ? formatCurrency(regra.valor) : 'igual ao aporte mensal'}`
+    }
+    return `${regra.tipo === 'deposito' ? 'Depósito' : 'Retirada'} de ${formatCurrency(regra.valor)} no mês ${regra.mes}`
+  })
+}
@@ -0,0 +1,17 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { contributionSchedule } from './schedule.js'
+
+test('13º cai só em dezembro mesmo começando no dia 31', () => {
+  const schedule = contributionSchedule({
+    aporteMensal: 100,
+    cronograma: [{ tipo: '13o' }],
+    meses: 24,
+    dataInicial: new Date(2026, 0, 31)
+  })
+
+  const meses = schedule
+    .map((mes, i) => (mes.aporte > 100 ? i + 1 : null))
+    .filter((i) => i !== null)
+  assert.deepEqual(meses, [11, 23])
+})
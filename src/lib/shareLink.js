@@ -0,0 +1,86 @@
+// Link compartilhável: campos do formulário de simulação na query string
+
+// Tudo o que define a simulação; as premissas de mercado ficam de fora e
+// quem abre o link usa as atuais
+export const CAMPOS_DO_LINK = [
+  'produto',
+  'aporteInicial',
+  'aporteMensal',
+  'taxa',
+  'vencimento',
+  'tipoDeTaxa',
+  'isentoDeImposto',
+  'fundo',
+  'capitalizacao',
+  'custos',
+  'periodo',
+  'periodoTipo',
+  'objetivo',
+  'meta',
+  'metaTipo',
+  'rendaDesejada',
+  'taxaRetirada',
+  'reajusteTipo',
+  'reajustePercentual',
+  'decimoTerceiro',
+  'decimoTerceiroValor',
+  'movimentacoes',
+  'faseRetirada',
+  'rendaRetirada',
+  'rendaIndexada',
+  'anosRetirada',
+  'comparacao'
+]
+
+// Listas vão como JSON no parâmetro
+const CAMPOS_EM_JSON = ['custos', 'movimentacoes', 'comparacao']
+
+const isEmpty = (valor) =>
+  valor === null ||
+  valor === undefined ||
+  valor === '' ||
+  (Array.isArray(valor) && valor.length === 0)
+
+/**
+ * @param {object} valores Valores do formulário, como estão nos campos
+ * @returns {string} Query string sem o `?`; campos e listas vazios ficam de
+ *   fora
+ */
+export function toQueryString(valores) {
+  const params = new URLSearchParams()
+  for (const campo of CAMPOS_DO_LINK) {
+    const valor = valores[campo]
+    if (isEmpty(valor)) continue
+    params.set(
+      campo,
+      CAMPOS_EM_JSON.includes(campo) ? JSON.stringify(valor) : valor
+    )
+  }
+  return params.toString()
+}
+
+/**
+ * @param {string} search `location.search`
+ * @returns {object | null} Só os campos do link presentes; `null` se não há
+ *   nenhum ou se uma lista não é JSON. A validação fica com quem chama.
+ */
+export function fromQueryString(search) {
+  const params = new URLSearchParams(search)
+  try {
+    const valores = Object.fromEntries(
+      CAMPOS_DO_LINK.filter((campo) => params.has(campo)).map((campo) => [
+        campo,
+        CAMPOS_EM_JSON.includes(campo)
+          ? JSON.parse(params.get(campo))
+          : params.get(campo)
+      ])
+    )
+    return Object.keys(valores).length > 0 ? valores : null
+  } catch {
+    return null
+  }
+}
+
+export function buildShareUrl(valores, location = window.location) {
+  return `${location.origin}${location.pathname}?${toQueryString(valores)}`
+}
@@ -0,0 +1,31 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { fromQueryString, toQueryString } from './shareLink.js'
+
+test('o link leva custos, cronograma e fase de retirada', () => {
+  const valores = {
+    aporteInicial: '1.000,00',
+    aporteMensal: '100,00',
+    taxa: '110',
+    tipoDeTaxa: '%CDI',
+    custos: [{ tipo: 'saldo', valor: '0,5', benchmark: 'cdi' }],
+    periodo: '10',
+    periodoTipo: 'ano',
+    reajusteTipo: 'fixo',
+    reajustePercentual: '5',
+    decimoTerceiro: 'sim',
+    decimoTerceiroValor: '200,00',
+    movimentacoes: [{ tipo: 'retirada', mes: '24', valor: '2.000,00' }],
+    faseRetirada: 'sim',
+    rendaRetirada: '3.000,00',
+    rendaIndexada: 'ipca',
+    anosRetirada: '20'
+  }
+
+  assert.deepEqual(fromQueryString(`?${toQueryString(valores)}`), valores)
+})
+
+test('listas vazias ficam fora do link e JSON inválido o invalida', () => {
+  assert.equal(toQueryString({ custos: [], comparacao: [] }), '')
+  assert.equal(fromQueryString('?taxa=10&custos=%5B'), null)
+})
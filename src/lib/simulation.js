@@ -0,0 +1,594 @@
+// Motor de projeção dos investimentos.
+//
+// Recebe valores já normalizados (números, sem máscara de formulário) e devolve
+// o resultado completo da simulação. Não depende de React nem de rede: as
+// curvas de IPCA e CDI são passadas prontas, no formato { [ano]: taxaAnual% }.
+// Uma curva também pode ter chaves 'aaaa-mm', que valem só para aquele mês.
+
+import { COME_COTAS, MESES_COME_COTAS, taxesOnLots } from './tax.js'
+import { addMonths, businessDaysBetween, monthKey } from './calendar.js'
+import { internalRate } from './solver.js'
+import { contributionSchedule } from './schedule.js'
+import { monthlyCosts } from './costs.js'
+
+// '%CDI' rende X% do CDI; 'CDI+' rende o CDI mais um spread de X%;
+// 'poupanca' segue a regra oficial pela Selic e não usa `taxa`
+export const TIPOS_DE_TAXA = ['prefixado', 'ipca+', '%CDI', 'CDI+', 'poupanca']
+
+// Acima dessa Selic (% a.a.) a poupança rende 0,5% ao mês + TR
+export const SELIC_LIMITE_POUPANCA = 8.5
+
+export const isCDI = (tipoDeTaxa) =>
+  tipoDeTaxa === '%CDI' || tipoDeTaxa === 'CDI+'
+
+const yearsOf = (curve) =>
+  Object.keys(curve ?? {})
+    .filter((key) => !key.includes('-'))
+    .map(Number)
+
+// Pega a taxa do mês, depois a do ano e, se a curva acabar antes, a do último
+// ano disponível
+export function rateForDate(curve, data) {
+  const anos = yearsOf(curve)
+  if (anos.length === 0) {
+    throw new Error('Curva de taxas vazia')
+  }
+
+  const mes = curve[monthKey(data)]
+  if (mes !== undefined) return mes
+
+  const ano = curve[data.getFullYear()]
+  if (ano !== undefined) return ano
+
+  return curve[Math.max(...anos)]
+}
+
+// Último ano com dados em todas as curvas informadas (o menor entre elas)
+export function lastCurveYear(curvas = {}) {
+  const finais = Object.values(curvas)
+    .map(yearsOf)
+    .filter((anos) => anos.length > 0)
+    .map((anos) => Math.max(...anos))
+
+  return finais.length > 0 ? Math.min(...finais) : null
+}
+
+// Sem prazo definido, a fase de retirada vai até o dinheiro acabar ou 100 anos
+export const MAX_MESES_RETIRADA = 1200
+
+// Taxa mensal equivalente (juros compostos) a uma taxa anual em %, em decimal
+export function equivalentMonthlyRate(taxaAnual) {
+  return Math.pow(1 + taxaAnual / 100, 1 / 12) - 1
+}
+
+// Converte a taxa informada pelo usuário (em %) para taxa mensal decimal
+export function toMonthlyRate(taxa, vencimento) {
+  return vencimento === 'meses' ? taxa / 100 : equivalentMonthlyRate(taxa)
+}
+
+// 'mensal' usa a taxa mensal equivalente; 'diaria' capitaliza por dia útil na
+// base 252 (calendário da ANBIMA), como os extratos de CDI e prefixados
+export const CAPITALIZACOES = ['mensal', 'diaria']
+
+// O IPCA+ e a poupança (aniversário mensal) seguem mensais mesmo na base
+// diária
+export const usesBusinessDays = (tipoDeTaxa, capitalizacao) =>
+  capitalizacao === 'diaria' &&
+  (tipoDeTaxa === 'prefixado' || isCDI(tipoDeTaxa))
+
+// Rendimento mensal da poupança: 0,5% + TR com a Selic acima de 8,5% a.a.,
+// senão 70% da Selic + TR. Sem curva de TR, ela é considerada zero.
+export function savingsRate(selicAno, trMensal = 0) {
+  const base =
+    selicAno > SELIC_LIMITE_POUPANCA
+      ? 0.005
+      : equivalentMonthlyRate(selicAno * 0.7)
+  return (1 + base) * (1 + trMensal) - 1
+}
+
+// Devolve a taxa efetiva do mês e o índice anual (IPCA/CDI) usado nela.
+// `diasUteis` só vem na capitalização diária.
+function monthlyRate({
+  tipoDeTaxa,
+  taxa,
+  taxaMensal,
+  data,
+  curvas,
+  diasUteis
+}) {
+  // Taxa do período de `diasUteis` dias úteis a partir de uma mensal
+  const noPeriodo = (mensal) =>
+    Math.pow(Math.pow(1 + mensal, 12), diasUteis / 252) - 1
+
+  if (tipoDeTaxa === 'prefixado') {
+    return {
+      taxa: diasUteis === undefined ? taxaMensal : noPeriodo(taxaMensal),
+      indice: null
+    }
+  }
+
+  if (tipoDeTaxa === 'poupanca') {
+    const selicAno = rateForDate(curvas.selic, data)
+    const trMensal = curvas.tr
+      ? equivalentMonthlyRate(rateForDate(curvas.tr, data))
+      : 0
+    return { taxa: savingsRate(selicAno, trMensal), indice: selicAno }
+  }
+
+  if (tipoDeTaxa === 'ipca+') {
+    const ipcaAno = rateForDate(curvas.ipca, data)
+    const ipcaMes = equivalentMonthlyRate(ipcaAno)
+    return { taxa: (1 + taxaMensal) * (1 + ipcaMes) - 1, indice: ipcaAno }
+  }
+
+  const cdiAno = rateForDate(curvas.cdi, data)
+
+  if (diasUteis !== undefined) {
+    // O percentual do CDI incide sobre a taxa de cada dia útil
+    const cdiDia = Math.pow(1 + cdiAno / 100, 1 / 252) - 1
+    const fatorCDI =
+      tipoDeTaxa === '%CDI'
+        ? Math.pow(1 + (cdiDia * taxa) / 100, diasUteis)
+        : Math.pow(1 + cdiDia, diasUteis) * (1 + noPeriodo(taxaMensal))
+    return { taxa: fatorCDI - 1, indice: cdiAno }
+  }
+
+  const cdiMes = equivalentMonthlyRate(cdiAno)
+
+  if (tipoDeTaxa === '%CDI') {
+    return { taxa: cdiMes * (taxa / 100), indice: cdiAno }
+  }
+
+  return { taxa: (1 + taxaMensal) * (1 + cdiMes) - 1, indice: cdiAno }
+}
+
+/**
+ * Simula a evolução de um investimento mês a mês.
+ *
+ * O aporte inicial rende desde o primeiro mês; os aportes mensais entram no
+ * fim de cada mês, depois da capitalização (mesma convenção da fórmula de
+ * série uniforme). Os três tipos de taxa usam o mesmo laço, só muda a taxa
+ * aplicada em cada mês.
+ *
+ * O aporte de cada mês segue o `cronograma` (reajuste anual, 13º, depósitos
+ * avulsos). Retiradas saem no fim do mês, depois do aporte, consumindo os
+ * lotes mais antigos primeiro; o IR e o IOF dessa parte são retidos na hora.
+ *
+ * O imposto de renda segue a tabela regressiva: cada aporte é um lote e o
+ * ganho de cada lote é tributado pela alíquota do prazo que ele ficou aplicado.
+ * Lotes com menos de 30 dias pagam IOF antes do IR, mesmo em produtos isentos.
+ *
+ * Quando a curva de IPCA é informada, o resultado também sai em reais de hoje
+ * (deflacionado pela mesma curva) com a rentabilidade real anualizada.
+ *
+ * @param {object} params
+ * @param {number} params.aporteInicial Valor investido no início, em reais
+ * @param {number} params.aporteMensal Valor aportado ao fim de cada mês
+ * @param {Array<object>} [params.cronograma] Regras de `contributionSchedule`
+ * @param {Array<object>} [params.custos] Regras de `monthlyCosts`. Os custos
+ *   saem do rendimento do mês, então também reduzem a base do IR
+ * @param {number} params.taxa Taxa em %. Para 'ipca+' e 'CDI+' é o spread sobre
+ *   o índice; para '%CDI' é o percentual do CDI (ex.: 110)
+ * @param {'ano'|'meses'} params.vencimento Se a taxa é anual ou mensal
+ *   (ignorado em '%CDI')
+ * @param {'prefixado'|'ipca+'|'%CDI'|'CDI+'|'poupanca'} params.tipoDeTaxa
+ * @param {number} params.meses Prazo total em meses
+ * @param {boolean} params.isento Se o rendimento é isento de imposto de renda
+ * @param {'longo'|'curto'|null} [params.fundo] Fundo de renda fixa: cobra
+ *   come-cotas em maio e novembro (15% no longo prazo, 20% no curto) e o
+ *   ajuste da alíquota do resgate no fim. Ignorado se `isento`.
+ * @param {'mensal'|'diaria'} [params.capitalizacao] Na 'diaria' os produtos
+ *   de CDI e prefixados rendem por dia útil do mês (base 252, feriados da
+ *   ANBIMA). Taxas anuais viram mensais sempre por equivalência composta.
+ * @param {{ ipca?: Object<number, number>, cdi?: Object<number, number>, selic?: Object<number, number>, tr?: Object<number, number> }} [params.curvas]
+ *   Projeções anuais em % por ano; `ipca` é obrigatória para 'ipca+', `cdi`
+ *   para '%CDI' e 'CDI+' e `selic` para 'poupanca' (`tr` é opcional). Com
+ *   `ipca` o resultado traz os valores reais.
+ * @param {Date} [params.dataInicial] Data de início da aplicação
+ * @param {{ renda: number, indexada?: boolean, meses?: number | null }} [params.decumulacao]
+ *   Fase de retirada depois de `meses`: retira `renda` bruta todo mês (em
+ *   reais de hoje se `indexada`, corrigida pelo IPCA) por `meses` meses ou até
+ *   o dinheiro acabar. O resumo e a evolução dela saem em `decumulacao`; os
+ *   totais do topo continuam sendo os do fim da acumulação.
+ * @param {boolean} [params.liquidoPorMes] Inclui em cada linha da acumulação
+ *   o `saldoLiquido`, o que sobraria resgatando tudo naquele mês. Custa uma
+ *   apuração de imposto por mês, por isso é opcional.
+ * @returns {{
+ *   montanteBruto: number,
+ *   montanteLiquido: number,
+ *   totalInvestido: number,
+ *   totalRetirado: number,
+ *   totalCustos: number,
+ *   comeCotas: number,
+ *   rendimento: number,
+ *   imposto: number,
+ *   iof: number,
+ *   montanteReal: number | null,
+ *   rentabilidadeReal: number | null,
+ *   evolucao: Array<{
+ *     mes: number,
+ *     data: Date,
+ *     aporte: number,
+ *     retirada: number,
+ *     retiradaLiquida: number,
+ *     totalInvestido: number,
+ *     juros: number,
+ *     custo: number,
+ *     comeCotas: number,
+ *     saldo: number,
+ *     taxa: number | null,
+ *     indice: number | null,
+ *     inflacao: number | null
+ *   }>
+ * }} `evolucao` tem uma linha por mês; a linha 0 é o aporte inicial. `taxa`
+ *   é a taxa efetiva do mês (decimal) e `indice` o IPCA/CDI anual em % usado
+ *   para chegar nela. `inflacao` é o fator de IPCA acumulado até o mês.
+ *   `retirada` é o valor bruto resgatado no mês e `retiradaLiquida` o que
+ *   sobra depois do IR e do IOF; `imposto` e `iof` somam os das retiradas.
+ *   Em fundos, `imposto` também inclui o `comeCotas` cobrado no caminho.
+ *   `montanteReal` é o líquido em reais de hoje e `rentabilidadeReal` a taxa
+ *   anual (decimal) que leva os aportes, deflacionados, até ele.
+ */
+export function simulate({
+  aporteInicial,
+  aporteMensal,
+  cronograma = [],
+  custos = [],
+  taxa = 0,
+  vencimento = 'ano',
+  tipoDeTaxa,
+  meses,
+  isento,
+  fundo = null,
+  capitalizacao = 'mensal',
+  curvas = {},
+  dataInicial = new Date(),
+  decumulacao = null,
+  liquidoPorMes = false
+}) {
+  if (!TIPOS_DE_TAXA.includes(tipoDeTaxa)) {
+    throw new Error(`Tipo de taxa desconhecido: ${tipoDeTaxa}`)
+  }
+
+  const taxaMensal = toMonthlyRate(taxa, vencimento)
+  const diaria = usesBusinessDays(tipoDeTaxa, capitalizacao)
+
+  const schedule = contributionSchedule({
+    aporteMensal,
+    cronograma,
+    meses,
+    dataInicial,
+    ipcaMensal: (data) => equivalentMonthlyRate(rateForDate(curvas.ipca, data))
+  })
+
+  let montante = aporteInicial
+  let totalInvestido = aporteInicial
+  let totalRetirado = 0
+  let totalCustos = 0
+  let totalComeCotas = 0
+  // Tributos retidos nas retiradas
+  let retido = { iof: 0, imposto: 0 }
+
+  // Fator acumulado desde o início; cada lote guarda o fator da sua entrada
+  let fator = 1
+  let inflacao = curvas.ipca ? 1 : null
+  // `base` é o fator do último come-cotas e `pago` o come-cotas já cobrado
+  const lotes = [
+    {
+      data: new Date(dataInicial),
+      valor: aporteInicial,
+      fator: 1,
+      base: 1,
+      pago: 0
+    }
+  ]
+
+  const evolucao = [
+    {
+      mes: 0,
+      data: new Date(dataInicial),
+      aporte: aporteInicial,
+      retirada: 0,
+      retiradaLiquida: 0,
+      totalInvestido,
+      juros: 0,
+      custo: 0,
+      comeCotas: 0,
+      saldo: montante,
+      taxa: null,
+      indice: null,
+      inflacao
+    }
+  ]
+
+  // A poupança não paga IR nem IOF
+  const taxes = (resgatados, data) =>
+    tipoDeTaxa === 'poupanca'
+      ? { iof: 0, imposto: 0 }
+      : taxesOnLots(resgatados, data, { isento, fundo })
+
+  // Come-cotas de maio e novembro sobre o rendimento de cada lote desde o
+  // último; sai das cotas do lote, que passa a valer menos. Se o lote está
+  // abaixo da base, nada é cobrado e a base fica onde estava.
+  const comeCotas = (data) => {
+    if (!fundo || isento || !MESES_COME_COTAS.includes(data.getMonth())) {
+      return 0
+    }
+
+    let total = 0
+    for (const lote of lotes) {
+      const saldo = (lote.valor * fator) / lote.fator
+      const rendimento = saldo * (1 - lote.base / fator)
+      if (rendimento <= 0) continue
+
+      const imposto = rendimento * COME_COTAS[fundo]
+      lote.fator *= saldo / (saldo - imposto)
+      lote.base = fator
+      lote.pago += imposto
+      total += imposto
+    }
+    return total
+  }
+
+  // Um mês: capitaliza o saldo, soma o aporte e depois faz a retirada.
+  // `retiradaReal` indica que a retirada está em reais de hoje.
+  const step = (i, aporte, retiradaDesejada, { retiradaReal = false } = {}) => {
+    const data = addMonths(dataInicial, i)
+
+    const { taxa: taxaDoMes, indice } = monthlyRate({
+      tipoDeTaxa,
+      taxa,
+      taxaMensal,
+      data,
+      curvas,
+      diasUteis: diaria
+        ? businessDaysBetween(addMonths(dataInicial, i - 1), data)
+        : undefined
+    })
+
+    const juros = montante * taxaDoMes
+    const custo =
+      custos.length > 0
+        ? monthlyCosts(custos, {
+            saldo: montante,
+            juros,
+            benchmarkMensal: (indice) =>
+              equivalentMonthlyRate(rateForDate(curvas[indice], data))
+          })
+        : 0
+
+    // Os lotes acompanham o rendimento já sem os custos
+    fator *=
+      montante > 0 ? (montante + juros - custo) / montante : 1 + taxaDoMes
+    const impostoComeCotas = comeCotas(data)
+    montante = montante + juros - custo - impostoComeCotas + aporte
+    totalInvestido += aporte
+    totalCustos += custo
+    totalComeCotas += impostoComeCotas
+    retido = { ...retido, imposto: retido.imposto + impostoComeCotas }
+
+    if (inflacao !== null) {
+      inflacao *= 1 + equivalentMonthlyRate(rateForDate(curvas.ipca, data))
+    }
+
+    if (aporte > 0) {
+      lotes.push({ data, valor: aporte, fator, base: fator, pago: 0 })
+    }
+
+    // Não dá para retirar mais do que o saldo
+    const retirada = Math.min(
+      retiradaReal ? retiradaDesejada * inflacao : retiradaDesejada,
+      montante
+    )
+    let retiradaLiquida = 0
+    if (retirada > 0) {
+      const tributos = taxes(redeemLots(lotes, retirada, fator), data)
+      montante -= retirada
+      totalRetirado += retirada
+      retiradaLiquida = retirada - tributos.iof - tributos.imposto
+      retido = {
+        iof: retido.iof + tributos.iof,
+        imposto: retido.imposto + tributos.imposto
+      }
+    }
+
+    return {
+      mes: i,
+      data,
+      aporte,
+      retirada,
+      retiradaLiquida,
+      totalInvestido,
+      juros,
+      custo,
+      comeCotas: impostoComeCotas,
+      saldo: montante,
+      taxa: taxaDoMes,
+      indice,
+      inflacao
+    }
+  }
+
+  // Tributos de resgatar tudo o que sobrou. O saldo vai nos próprios lotes
+  // para não copiar a lista a cada mês com `liquidoPorMes`
+  const exitTaxes = (dataResgate) => {
+    for (const lote of lotes) lote.saldo = (lote.valor * fator) / lote.fator
+    return taxes(lotes, dataResgate)
+  }
+
+  if (liquidoPorMes) evolucao[0].saldoLiquido = aporteInicial
+
+  for (let i = 1; i <= meses; i++) {
+    const linha = step(i, schedule[i - 1].aporte, schedule[i - 1].retirada)
+    if (liquidoPorMes) {
+      const tributos = exitTaxes(linha.data)
+      linha.saldoLiquido = linha.saldo - tributos.iof - tributos.imposto
+    }
+    evolucao.push(linha)
+  }
+
+  const rendimento = montante + totalRetirado + totalComeCotas - totalInvestido
+  const { iof, imposto } = exitTaxes(evolucao[evolucao.length - 1].data)
+
+  const montanteLiquido = montante - iof - imposto
+
+  const result = {
+    montanteBruto: montante,
+    montanteLiquido,
+    totalInvestido,
+    totalRetirado,
+    totalCustos,
+    comeCotas: totalComeCotas,
+    rendimento,
+    imposto: imposto + retido.imposto,
+    iof: iof + retido.iof,
+    ...realValues(evolucao, montanteLiquido),
+    evolucao
+  }
+
+  if (!decumulacao) return result
+
+  // Fase de retirada: continua dos mesmos lotes, sem aportes
+  const { renda, indexada = false, meses: mesesRetirada = null } = decumulacao
+  if (indexada && inflacao === null) {
+    throw new Error('A renda corrigida pelo IPCA precisa da curva de IPCA')
+  }
+
+  const inicio = { totalRetirado, totalCustos, totalComeCotas, retido }
+  const evolucaoRetirada = []
+  const limite = mesesRetirada ?? MAX_MESES_RETIRADA
+
+  for (let j = 1; j <= limite && montante > 0.005; j++) {
+    evolucaoRetirada.push(step(meses + j, 0, renda, { retiradaReal: indexada }))
+  }
+
+  const final = evolucaoRetirada[evolucaoRetirada.length - 1] ?? evolucao[meses]
+  const tributosFinais = exitTaxes(final.data)
+
+  result.decumulacao = {
+    renda,
+    indexada,
+    mesesPlanejados: mesesRetirada,
+    meses: evolucaoRetirada.length,
+    esgotado: montante <= 0.005,
+    dataFim: final.data,
+    totalRetirado: totalRetirado - inicio.totalRetirado,
+    rendaLiquida: evolucaoRetirada.reduce(
+      (total, linha) => total + linha.retiradaLiquida,
+      0
+    ),
+    imposto: retido.imposto - inicio.retido.imposto,
+    iof: retido.iof - inicio.retido.iof,
+    custos: totalCustos - inicio.totalCustos,
+    comeCotas: totalComeCotas - inicio.totalComeCotas,
+    saldoFinal: montante,
+    saldoFinalLiquido: Math.max(
+      montante - tributosFinais.iof - tributosFinais.imposto,
+      0
+    ),
+    evolucao: evolucaoRetirada
+  }
+
+  return result
+}
+
+// Tira `valor` dos lotes mais antigos (FIFO), que encolhem ou somem, e
+// devolve as partes resgatadas com o saldo de cada uma
+function redeemLots(lotes, valor, fator) {
+  const resgatados = []
+  let restante = valor
+
+  while (restante > 1e-9 && lotes.length > 0) {
+    const lote = lotes[0]
+    const saldo = (lote.valor * fator) / lote.fator
+    const parte = Math.min(restante, saldo)
+    const proporcao = saldo > 0 ? parte / saldo : 1
+
+    resgatados.push({
+      ...lote,
+      valor: lote.valor * proporcao,
+      pago: lote.pago * proporcao,
+      saldo: parte
+    })
+    restante -= parte
+
+    if (proporcao >= 1) {
+      lotes.shift()
+    } else {
+      lote.valor *= 1 - proporcao
+      lote.pago *= 1 - proporcao
+    }
+  }
+
+  return resgatados
+}
+
+// Valor final em reais de hoje e rentabilidade real anual dos aportes (e das
+// retiradas, líquidas de imposto)
+function realValues(evolucao, montanteLiquido) {
+  const final = evolucao[evolucao.length - 1]
+  if (final.inflacao === null) {
+    return { montanteReal: null, rentabilidadeReal: null }
+  }
+
+  const montanteReal = montanteLiquido / final.inflacao
+  const taxaMensal = internalRate(
+    evolucao.map((linha) => ({
+      mes: linha.mes,
+      valor: (linha.aporte - linha.retiradaLiquida) / linha.inflacao
+    })),
+    montanteReal,
+    final.mes
+  )
+
+  return {
+    montanteReal,
+    rentabilidadeReal:
+      taxaMensal === null ? null : Math.pow(1 + taxaMensal, 12) - 1
+  }
+}
+
+// Evolução das duas fases (acumulação e retirada) em sequência
+export const fullEvolution = (result) =>
+  result.decumulacao
+    ? [...result.evolucao, ...result.decumulacao.evolucao]
+    : result.evolucao
+
+// Agrupa a evolução mensal por ano-calendário. A taxa do ano é a composição
+// das taxas mensais e o índice é o do último mês do ano.
+export function groupByYear(evolucao) {
+  const anos = []
+
+  for (const linha of evolucao) {
+    const ano = linha.data.getFullYear()
+    let atual = anos[anos.length - 1]
+
+    if (!atual || atual.ano !== ano) {
+      atual = {
+        ano,
+        data: linha.data,
+        aporte: 0,
+        retirada: 0,
+        juros: 0,
+        comeCotas: 0,
+        taxa: null,
+        indice: null
+      }
+      anos.push(atual)
+    }
+
+    atual.aporte += linha.aporte
+    atual.retirada += linha.retirada
+    atual.juros += linha.juros
+    atual.comeCotas += linha.comeCotas
+    atual.totalInvestido = linha.totalInvestido
+    atual.saldo = linha.saldo
+
+    if (linha.taxa !== null) {
+      atual.taxa = (1 + (atual.taxa ?? 0)) * (1 + linha.taxa) - 1
+      atual.indice = linha.indice
+    }
+  }
+
+  return anos
+}
@@ -0,0 +1,179 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { equivalentMonthlyRate, savingsRate, simulate } from './simulation.js'
+
+test('come-cotas só em maio e novembro mesmo começando no dia 31', () => {
+  const { evolucao } = simulate({
+    aporteInicial: 10000,
+    aporteMensal: 0,
+    taxa: 100,
+    tipoDeTaxa: '%CDI',
+    isento: false,
+    fundo: 'longo',
+    meses: 24,
+    curvas: { ipca: { 2026: 4 }, cdi: { 2026: 10 } },
+    dataInicial: new Date(2026, 0, 31)
+  })
+
+  const cobrancas = evolucao
+    .filter((linha) => linha.comeCotas > 0)
+    .map((linha) => linha.data.getMonth())
+  assert.deepEqual(cobrancas, [4, 10, 4, 10])
+})
+
+test('na base 252, começar às 14h30 rende o mesmo que à meia-noite', () => {
+  const montante = (dataInicial) =>
+    simulate({
+      aporteInicial: 10000,
+      aporteMensal: 0,
+      taxa: 100,
+      tipoDeTaxa: '%CDI',
+      isento: true,
+      capitalizacao: 'diaria',
+      meses: 12,
+      curvas: { ipca: { 2026: 4 }, cdi: { 2026: 14.9 } },
+      dataInicial
+    }).montanteBruto
+
+  assert.equal(
+    montante(new Date(2026, 0, 10, 14, 30)),
+    montante(new Date(2026, 0, 10))
+  )
+})
+
+// Curvas fixas: o resultado não depende da data de hoje nem do BCB
+const curvas = {
+  ipca: { 2026: 4 },
+  cdi: { 2026: 10 },
+  selic: { 2026: 10.1 }
+}
+const base = {
+  aporteInicial: 1000,
+  aporteMensal: 100,
+  taxa: 10,
+  vencimento: 'ano',
+  isento: true,
+  meses: 36,
+  curvas,
+  dataInicial: new Date(2026, 0, 10)
+}
+
+const assertClose = (atual, esperado, tolerancia = 1e-6) =>
+  assert.ok(
+    Math.abs(atual - esperado) < tolerancia,
+    `${atual} não é ${esperado}`
+  )
+
+test('o prefixado bate com a fórmula de série uniforme', () => {
+  const i = equivalentMonthlyRate(10)
+  const fator = Math.pow(1 + i, 36)
+
+  assertClose(
+    simulate({ ...base, tipoDeTaxa: 'prefixado' }).montanteBruto,
+    1000 * fator + (100 * (fator - 1)) / i
+  )
+})
+
+test('prefixado, IPCA+ e CDI usam o mesmo momento dos aportes', () => {
+  const prefixado = simulate({ ...base, tipoDeTaxa: 'prefixado' })
+  const semIndice = { ...curvas, ipca: { 2026: 0 }, cdi: { 2026: 0 } }
+
+  for (const produto of [
+    { tipoDeTaxa: 'ipca+', curvas: semIndice },
+    { tipoDeTaxa: 'CDI+', curvas: semIndice },
+    { tipoDeTaxa: '%CDI', taxa: 100 }
+  ]) {
+    assertClose(
+      simulate({ ...base, ...produto }).montanteBruto,
+      prefixado.montanteBruto
+    )
+  }
+})
+
+test('% do CDI e CDI + taxa sobre a curva de CDI', () => {
+  const cdiMes = equivalentMonthlyRate(10)
+  const taxaDoMes = (produto) =>
+    simulate({ ...base, ...produto }).evolucao[1].taxa
+
+  assertClose(taxaDoMes({ tipoDeTaxa: '%CDI', taxa: 110 }), cdiMes * 1.1)
+  assertClose(
+    taxaDoMes({ tipoDeTaxa: 'CDI+', taxa: 2 }),
+    (1 + equivalentMonthlyRate(2)) * (1 + cdiMes) - 1
+  )
+})
+
+test('valor em reais de hoje e rentabilidade real anual', () => {
+  const resultado = simulate({
+    ...base,
+    aporteMensal: 0,
+    meses: 12,
+    tipoDeTaxa: 'prefixado'
+  })
+
+  assertClose(resultado.montanteLiquido, 1100)
+  assertClose(resultado.montanteReal, 1100 / 1.04)
+  assertClose(resultado.rentabilidadeReal, 1.1 / 1.04 - 1)
+})
+
+test('a fase de retirada vai até o prazo ou até o dinheiro acabar', () => {
+  const semJuros = {
+    ...base,
+    aporteInicial: 1200,
+    aporteMensal: 0,
+    taxa: 0,
+    meses: 1,
+    tipoDeTaxa: 'prefixado'
+  }
+
+  const ateAcabar = simulate({ ...semJuros, decumulacao: { renda: 100 } })
+  assert.equal(ateAcabar.decumulacao.meses, 12)
+  assert.equal(ateAcabar.decumulacao.esgotado, true)
+  assertClose(ateAcabar.decumulacao.totalRetirado, 1200)
+
+  const seisMeses = simulate({
+    ...semJuros,
+    decumulacao: { renda: 100, meses: 6 }
+  })
+  assert.equal(seisMeses.decumulacao.meses, 6)
+  assert.equal(seisMeses.decumulacao.esgotado, false)
+  assertClose(seisMeses.decumulacao.saldoFinal, 600)
+})
+
+test('a renda indexada sobe com o IPCA', () => {
+  const { decumulacao } = simulate({
+    ...base,
+    aporteInicial: 100000,
+    aporteMensal: 0,
+    meses: 12,
+    tipoDeTaxa: 'prefixado',
+    decumulacao: { renda: 1000, indexada: true, meses: 12 }
+  })
+
+  // Depois de 12 meses de acumulação o IPCA de 4% a.a. já corrigiu a renda
+  const primeira = decumulacao.evolucao[0]
+  const ultima = decumulacao.evolucao[11]
+  assertClose(primeira.retirada, 1000 * 1.04 * (1 + equivalentMonthlyRate(4)))
+  assertClose(ultima.retirada, 1000 * 1.04 * 1.04)
+})
+
+test('poupança: 0,5% ao mês acima de 8,5% de Selic, 70% dela abaixo', () => {
+  assertClose(savingsRate(10), 0.005)
+  assertClose(savingsRate(8), equivalentMonthlyRate(8 * 0.7))
+  assertClose(savingsRate(10, 0.001), 1.005 * 1.001 - 1)
+})
+
+test('a poupança segue a Selic da curva e não paga IR nem IOF', () => {
+  const poupanca = { ...base, tipoDeTaxa: 'poupanca', taxa: 0, isento: false }
+
+  const alta = simulate(poupanca)
+  assertClose(alta.evolucao[1].taxa, 0.005)
+  assert.equal(alta.imposto, 0)
+  assert.equal(alta.iof, 0)
+  assert.equal(alta.montanteLiquido, alta.montanteBruto)
+
+  const baixa = simulate({
+    ...poupanca,
+    curvas: { ...curvas, selic: { 2026: 8 } }
+  })
+  assertClose(baixa.evolucao[1].taxa, equivalentMonthlyRate(5.6))
+})
@@ -0,0 +1,66 @@
+/**
+ * Encontra `x` tal que `fn(x) = alvo` por bisseção, para `fn` crescente.
+ *
+ * Se `fn(max)` ainda não alcança o alvo, o intervalo é dobrado até
+ * `limite`. Devolve `null` quando o alvo está fora do alcance.
+ *
+ * @param {(x: number) => number} fn
+ * @param {number} alvo
+ * @param {object} [options]
+ * @param {number} [options.min]
+ * @param {number} [options.max] Palpite inicial para o limite superior
+ * @param {number} [options.limite] Maior valor de `x` aceito
+ * @param {number} [options.tolerancia] Precisão em `x`
+ * @returns {number | null}
+ */
+export function solveIncreasing(
+  fn,
+  alvo,
+  { min = 0, max = 1, limite = 1e9, tolerancia = 1e-6 } = {}
+) {
+  if (fn(min) > alvo) return null
+
+  let hi = Math.max(max, min + tolerancia)
+  while (fn(hi) < alvo) {
+    if (hi >= limite) return null
+    hi = Math.min(hi * 2, limite)
+  }
+
+  let lo = min
+  for (let i = 0; i < 200 && hi - lo > tolerancia; i++) {
+    const meio = (lo + hi) / 2
+    if (fn(meio) < alvo) {
+      lo = meio
+    } else {
+      hi = meio
+    }
+  }
+
+  return hi
+}
+
+/**
+ * Taxa mensal que faz os aportes chegarem ao valor final (TIR dos fluxos).
+ *
+ * @param {Array<{ mes: number, valor: number }>} fluxos Aportes e o mês de cada um
+ * @param {number} valorFinal Valor resgatado no mês `meses`
+ * @param {number} meses
+ * @returns {number | null} Taxa mensal em decimal
+ */
+export function internalRate(fluxos, valorFinal, meses) {
+  const futuro = (taxa) =>
+    fluxos.reduce(
+      (total, { mes, valor }) =>
+        total + valor * Math.pow(1 + taxa, meses - mes),
+      0
+    )
+
+  if (futuro(0) <= 0) return null
+
+  return solveIncreasing(futuro, valorFinal, {
+    min: -0.5,
+    max: 0.01,
+    limite: 10,
+    tolerancia: 1e-10
+  })
+}
@@ -0,0 +1,27 @@
+// Acesso ao localStorage com prefixo próprio e JSON. Nunca lança: storage
+// desabilitado, cheio ou com lixo é tratado como vazio.
+
+const PREFIX = 'calc-inv:'
+
+export const defaultStorage = () =>
+  typeof localStorage === 'undefined' ? null : localStorage
+
+export function readJSON(storage, key) {
+  try {
+    const raw = storage?.getItem(PREFIX + key)
+    return raw ? JSON.parse(raw) : null
+  } catch {
+    return null
+  }
+}
+
+// Devolve se gravou; storage cheio ou desabilitado segue sem persistir
+export function writeJSON(storage, key, value) {
+  if (!storage) return false
+  try {
+    storage.setItem(PREFIX + key, JSON.stringify(value))
+    return true
+  } catch {
+    return false
+  }
+}
@@ -0,0 +1,81 @@
+// Tabelas regressivas de IR e IOF sobre renda fixa
+
+const TABELA_IR = [
+  { ateDias: 180, aliquota: 0.225 },
+  { ateDias: 360, aliquota: 0.2 },
+  { ateDias: 720, aliquota: 0.175 },
+  { ateDias: Infinity, aliquota: 0.15 }
+]
+
+// Percentual do rendimento cobrado de IOF para resgates do dia 1 ao dia 29;
+// a partir do 30º dia a alíquota é zero
+const TABELA_IOF = [
+  96, 93, 90, 86, 83, 80, 76, 73, 70, 66, 63, 60, 56, 53, 50, 46, 43, 40, 36,
+  33, 30, 26, 23, 20, 16, 13, 10, 6, 3
+]
+
+const MS_POR_DIA = 24 * 60 * 60 * 1000
+
+export function daysBetween(inicio, fim) {
+  return Math.round((fim - inicio) / MS_POR_DIA)
+}
+
+export function incomeTaxRate(dias) {
+  return TABELA_IR.find((faixa) => dias <= faixa.ateDias).aliquota
+}
+
+// Fundos de renda fixa: alíquota do come-cotas e do resgate. O de longo prazo
+// segue a tabela regressiva (mínimo de 15%); o de curto prazo cobra 22,5% até
+// 180 dias e 20% depois
+export const COME_COTAS = { longo: 0.15, curto: 0.2 }
+
+// Meses (0 = janeiro) em que o come-cotas é cobrado: maio e novembro
+export const MESES_COME_COTAS = [4, 10]
+
+export function fundTaxRate(dias, fundo) {
+  if (fundo === 'curto') return dias <= 180 ? 0.225 : 0.2
+  return incomeTaxRate(dias)
+}
+
+export function iofRate(dias) {
+  if (dias < 1) return TABELA_IOF[0] / 100
+  return (TABELA_IOF[dias - 1] ?? 0) / 100
+}
+
+/**
+ * Calcula os tributos do resgate tratando cada aporte como um lote separado
+ * (FIFO), tributado pelas alíquotas do seu próprio prazo. O IOF incide
+ * primeiro e o IR é cobrado sobre o rendimento que sobra.
+ *
+ * Em fundos, `pago` é o come-cotas já cobrado do lote: o ganho inclui o que
+ * saiu para pagá-lo e o IR do resgate é só o ajuste final (nunca negativo).
+ *
+ * @param {Array<{ data: Date, valor: number, saldo: number, pago?: number }>} lotes
+ *   `valor` é o que foi aportado e `saldo` quanto o lote vale no resgate
+ * @param {Date} dataResgate
+ * @param {{ isento?: boolean, fundo?: 'longo' | 'curto' | null }} [opcoes]
+ *   Produtos isentos pagam só o IOF
+ * @returns {{ iof: number, imposto: number }} Valores em reais
+ */
+export function taxesOnLots(
+  lotes,
+  dataResgate,
+  { isento = false, fundo = null } = {}
+) {
+  let iof = 0
+  let imposto = 0
+
+  for (const lote of lotes) {
+    const pago = lote.pago ?? 0
+    const ganho = lote.saldo + pago - lote.valor
+    if (ganho <= 0) continue
+
+    const dias = daysBetween(lote.data, dataResgate)
+    const iofDoLote = ganho * iofRate(dias)
+    const aliquota = fundo ? fundTaxRate(dias, fundo) : incomeTaxRate(dias)
+    iof += iofDoLote
+    if (!isento) imposto += Math.max((ganho - iofDoLote) * aliquota - pago, 0)
+  }
+
+  return { iof, imposto }
+}
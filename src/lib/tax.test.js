@@ -0,0 +1,48 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { incomeTaxRate, iofRate, taxesOnLots } from './tax.js'
+
+const resgate = new Date(2028, 0, 1)
+const diasAntes = (dias) =>
+  new Date(resgate.getFullYear(), resgate.getMonth(), resgate.getDate() - dias)
+
+test('IR regressivo pelas faixas de prazo', () => {
+  assert.equal(incomeTaxRate(180), 0.225)
+  assert.equal(incomeTaxRate(181), 0.2)
+  assert.equal(incomeTaxRate(360), 0.2)
+  assert.equal(incomeTaxRate(361), 0.175)
+  assert.equal(incomeTaxRate(720), 0.175)
+  assert.equal(incomeTaxRate(721), 0.15)
+})
+
+test('cada lote paga a alíquota do próprio prazo', () => {
+  const lotes = [
+    { data: diasAntes(800), valor: 1000, saldo: 1100 },
+    { data: diasAntes(100), valor: 1000, saldo: 1100 },
+    // Lote no prejuízo não abate o ganho dos outros
+    { data: diasAntes(100), valor: 1000, saldo: 900 }
+  ]
+
+  const { iof, imposto } = taxesOnLots(lotes, resgate)
+  assert.equal(iof, 0)
+  assert.ok(Math.abs(imposto - (100 * 0.15 + 100 * 0.225)) < 1e-9)
+})
+
+test('IOF regressivo do dia 1 ao 29 e zero a partir do 30º', () => {
+  assert.equal(iofRate(1), 0.96)
+  assert.equal(iofRate(29), 0.03)
+  assert.equal(iofRate(30), 0)
+  assert.equal(iofRate(400), 0)
+})
+
+test('o IOF sai antes do IR e também é cobrado de isentos', () => {
+  const lotes = [{ data: diasAntes(10), valor: 1000, saldo: 1100 }]
+
+  const tributado = taxesOnLots(lotes, resgate)
+  assert.ok(Math.abs(tributado.iof - 66) < 1e-9)
+  assert.ok(Math.abs(tributado.imposto - (100 - 66) * 0.225) < 1e-9)
+
+  const isento = taxesOnLots(lotes, resgate, { isento: true })
+  assert.ok(Math.abs(isento.iof - 66) < 1e-9)
+  assert.equal(isento.imposto, 0)
+})
@@ -0,0 +1,14 @@
+// Apoio dos testes; não entra no app
+
+// Storage em memória com a interface do localStorage. `cheio` faz toda
+// gravação falhar, como um localStorage sem espaço.
+export const memoryStorage = ({ cheio = false } = {}) => {
+  const itens = new Map()
+  return {
+    getItem: (key) => itens.get(key) ?? null,
+    setItem: (key, value) => {
+      if (cheio) throw new Error('QuotaExceededError')
+      itens.set(key, value)
+    }
+  }
+}
@@ -0,0 +1,41 @@
+// Etapas do assistente e a ordem em que aparecem
+
+export const ETAPAS = {
+  intro: { label: 'Início' },
+  contato: { label: 'Contato' },
+  simulacao: { label: 'Simulação' },
+  resultado: { label: 'Resultado' }
+}
+
+const FINAIS = ['simulacao', 'resultado']
+
+export const ETAPAS_PADRAO = 'intro,contato,simulacao'
+
+/**
+ * Lê a configuração de etapas, ex.: `"contato?,simulacao"`. A ordem é a da
+ * lista e `?` marca a etapa como opcional (ganha um botão de pular). Ids
+ * desconhecidos e repetidos são ignorados. A simulação e o resultado são
+ * obrigatórios e sempre os últimos, já que o lead é enviado no cálculo.
+ *
+ * @param {string} [config]
+ * @returns {Array<{ id: string, label: string, opcional: boolean }>}
+ */
+export function resolveSteps(config = ETAPAS_PADRAO) {
+  const etapas = []
+
+  for (const item of config.split(',')) {
+    const nome = item.trim()
+    const opcional = nome.endsWith('?')
+    const id = opcional ? nome.slice(0, -1) : nome
+
+    if (!ETAPAS[id] || FINAIS.includes(id) || etapas.some((e) => e.id === id)) {
+      continue
+    }
+    etapas.push({ id, ...ETAPAS[id], opcional })
+  }
+
+  return [
+    ...etapas,
+    ...FINAIS.map((id) => ({ id, ...ETAPAS[id], opcional: false }))
+  ]
+}